@@ -11,6 +11,9 @@ const connectDB = async () => {
         console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
         console.log(`📊 Database: ${conn.connection.name}`);
 
+        // Create built-in roles if missing
+        await createDefaultRoles();
+
         // Create default admin user if not exists
         await createDefaultAdmin();
 
@@ -22,6 +25,16 @@ const connectDB = async () => {
     }
 };
 
+const createDefaultRoles = async () => {
+    try {
+        const Role = require('../models/Role');
+        const created = await Role.ensureDefaultRoles();
+        console.log(created > 0 ? `✅ Created ${created} default role(s)` : 'ℹ️ Default roles already exist');
+    } catch (error) {
+        console.error('❌ Error creating default roles:', error.message);
+    }
+};
+
 const createDefaultAdmin = async () => {
     try {
         console.log('👤 Checking for default admin user...');
@@ -47,7 +60,8 @@ const createDefaultAdmin = async () => {
                 email: 'admin@pool.com',
                 password: 'admin123', // Will be hashed by pre-save hook
                 role: 'admin',
-                isActive: true
+                isActive: true,
+                mustChangePassword: true // Default password must be replaced on first login
             });
 
             await admin.save();
@@ -70,6 +84,12 @@ const createDefaultAdmin = async () => {
                 // Test the password
                 const isPasswordCorrect = await bcrypt.compare('admin123', adminExists.password);
                 console.log(`   Password "admin123" matches: ${isPasswordCorrect}`);
+
+                // Still on the default password - force a change on next login
+                if (isPasswordCorrect && !adminExists.mustChangePassword) {
+                    await User.updateOne({ _id: adminExists._id }, { mustChangePassword: true });
+                    console.log('   ⚠️ Default password in use - password change required on next login');
+                }
             } else {
                 console.log(`   ❌ NO PASSWORD FIELD!`);
             }
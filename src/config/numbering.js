@@ -0,0 +1,41 @@
+// config/numbering.js
+// Booking (and ticket) number formats, configurable through environment variables.
+// Numbers look like <prefix>-<period>-<sequence>, where the period depends on
+// when the sequence restarts: YYMMDD (day), YYYY (year) or nothing (never).
+
+const RESETS = ['day', 'year', 'never'];
+
+const format = (name, defaults) => {
+    const reset = process.env[`${name}_NUMBER_RESET`];
+    return {
+        prefix: process.env[`${name}_NUMBER_PREFIX`] || defaults.prefix,
+        reset: RESETS.includes(reset) ? reset : defaults.reset,
+        digits: parseInt(process.env[`${name}_NUMBER_DIGITS`]) || defaults.digits
+    };
+};
+
+// Keyed by booking type, as in the payment ledger, plus maintenance tickets
+const numberFormats = {
+    reservation: format('RESERVATION', { prefix: 'HR', reset: 'year', digits: 5 }),
+    pool: format('POOL_BOOKING', { prefix: 'PB', reset: 'day', digits: 4 }),
+    conference: format('CONFERENCE_BOOKING', { prefix: 'CH', reset: 'year', digits: 4 }),
+    sale: format('SALE', { prefix: 'RBS', reset: 'day', digits: 4 }),
+    maintenance: format('MAINTENANCE_TICKET', { prefix: 'MT', reset: 'year', digits: 4 })
+};
+
+// "HR-2026", "RBS-261019", "PB" ... for the given date (server local time)
+const numberStem = ({ prefix, reset }, date = new Date()) => {
+    const year = date.getFullYear().toString();
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+
+    if (reset === 'day') return `${prefix}-${year.slice(-2)}${month}${day}`;
+    if (reset === 'year') return `${prefix}-${year}`;
+    return prefix;
+};
+
+module.exports = {
+    RESETS,
+    numberFormats,
+    numberStem
+};
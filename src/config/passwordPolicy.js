@@ -0,0 +1,63 @@
+// config/passwordPolicy.js
+// Password rules, configurable through environment variables
+
+const toBool = (value, fallback) => {
+    if (value === undefined || value === '') return fallback;
+    return value === 'true' || value === '1';
+};
+
+const passwordPolicy = {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+    requireUppercase: toBool(process.env.PASSWORD_REQUIRE_UPPERCASE, false),
+    requireLowercase: toBool(process.env.PASSWORD_REQUIRE_LOWERCASE, true),
+    requireNumber: toBool(process.env.PASSWORD_REQUIRE_NUMBER, true),
+    requireSymbol: toBool(process.env.PASSWORD_REQUIRE_SYMBOL, false),
+    disallowUsername: toBool(process.env.PASSWORD_DISALLOW_USERNAME, true),
+    // How many previous passwords (including the current one) cannot be reused
+    historyCount: process.env.PASSWORD_HISTORY_COUNT !== undefined
+        ? parseInt(process.env.PASSWORD_HISTORY_COUNT) || 0
+        : 5
+};
+
+// Returns a list of human readable problems, empty when the password is acceptable.
+// `user` is optional and only used for the username/email rule.
+const validatePasswordPolicy = (password, user = {}) => {
+    const errors = [];
+
+    if (typeof password !== 'string' || password.length === 0) {
+        return ['Password is required'];
+    }
+
+    if (password.length < passwordPolicy.minLength) {
+        errors.push(`Password must be at least ${passwordPolicy.minLength} characters`);
+    }
+    if (passwordPolicy.requireUppercase && !/[A-Z]/.test(password)) {
+        errors.push('Password must contain at least one uppercase letter');
+    }
+    if (passwordPolicy.requireLowercase && !/[a-z]/.test(password)) {
+        errors.push('Password must contain at least one lowercase letter');
+    }
+    if (passwordPolicy.requireNumber && !/[0-9]/.test(password)) {
+        errors.push('Password must contain at least one number');
+    }
+    if (passwordPolicy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+        errors.push('Password must contain at least one special character');
+    }
+
+    if (passwordPolicy.disallowUsername) {
+        const lowered = password.toLowerCase();
+        if (user.username && lowered === String(user.username).toLowerCase()) {
+            errors.push('Password cannot be the same as your username');
+        }
+        if (user.email && lowered === String(user.email).toLowerCase()) {
+            errors.push('Password cannot be the same as your email');
+        }
+    }
+
+    return errors;
+};
+
+module.exports = {
+    passwordPolicy,
+    validatePasswordPolicy
+};
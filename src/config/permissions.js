@@ -0,0 +1,231 @@
+// config/permissions.js
+// Catalog of named permissions and the default roles built from them.
+// Roles are stored in MongoDB and can be edited by admins; these are only the seeds.
+
+const PERMISSIONS = {
+    // Hotel
+    'hotel.dashboard.view': 'View hotel dashboard',
+    'hotel.reports.view': 'View hotel reports',
+    'hotel.reservations.view': 'View hotel reservations',
+    'hotel.reservations.create': 'Create hotel reservations',
+    'hotel.reservations.update': 'Edit hotel reservations and their status',
+    'hotel.reservations.delete': 'Delete hotel reservations',
+    'hotel.reservations.checkin': 'Check guests in and out',
+    'hotel.payments.update': 'Update hotel payment status',
+    'hotel.folio.manage': 'Post and void folio charges during a stay',
+    'hotel.rooms.view': 'View rooms',
+    'hotel.rooms.create': 'Create rooms',
+    'hotel.rooms.update': 'Edit rooms',
+    'hotel.rooms.status': 'Change room status',
+    'hotel.housekeeping.view': 'View the housekeeping board and tasks',
+    'hotel.housekeeping.work': 'Start and finish housekeeping tasks',
+    'hotel.housekeeping.manage': 'Create, assign, inspect and cancel housekeeping tasks',
+    'hotel.maintenance.view': 'View maintenance tickets and the out-of-service report',
+    'hotel.maintenance.report': 'Report room maintenance issues',
+    'hotel.maintenance.manage': 'Assign, schedule, resolve and cancel maintenance tickets',
+    'hotel.roomTypes.view': 'View room types',
+    'hotel.roomTypes.manage': 'Create and edit room types',
+    'hotel.services.view': 'View hotel services',
+    'hotel.services.manage': 'Create and edit hotel services',
+    'hotel.settings.initialize': 'Initialize hotel defaults',
+
+    // Pool
+    'pool.dashboard.view': 'View pool dashboard',
+    'pool.reports.view': 'View pool reports',
+    'pool.bookings.view': 'View pool bookings',
+    'pool.bookings.create': 'Create pool bookings',
+    'pool.bookings.update': 'Edit pool bookings',
+    'pool.bookings.delete': 'Delete pool bookings',
+    'pool.payments.update': 'Update pool payment status',
+    'pool.prices.view': 'View ticket prices',
+    'pool.prices.update': 'Edit ticket prices',
+    'pool.timeSlots.view': 'View time slots',
+    'pool.timeSlots.update': 'Edit time slots',
+    'pool.settings.initialize': 'Initialize pool defaults',
+    'pool.debug': 'Access pool debug routes',
+
+    // Conference
+    'conference.dashboard.view': 'View conference dashboard',
+    'conference.reports.view': 'View conference reports',
+    'conference.bookings.view': 'View conference bookings',
+    'conference.bookings.create': 'Create conference bookings',
+    'conference.bookings.update': 'Edit conference bookings and their status',
+    'conference.bookings.delete': 'Delete conference bookings',
+    'conference.payments.update': 'Update conference payment status',
+    'conference.halls.view': 'View conference halls',
+    'conference.halls.update': 'Edit conference halls',
+    'conference.equipment.view': 'View equipment',
+    'conference.equipment.manage': 'Create and edit equipment',
+    'conference.settings.initialize': 'Initialize conference defaults',
+
+    // Restaurant
+    'restaurant.dashboard.view': 'View restaurant dashboard',
+    'restaurant.reports.view': 'View restaurant reports',
+    'restaurant.categories.view': 'View menu categories',
+    'restaurant.categories.manage': 'Create, edit and delete menu categories',
+    'restaurant.menu.view': 'View menu items',
+    'restaurant.menu.manage': 'Create, edit and delete menu items',
+    'restaurant.sales.view': 'View sales',
+    'restaurant.sales.create': 'Create sales',
+    'restaurant.sales.update': 'Edit sales and order status',
+    'restaurant.sales.delete': 'Delete sales',
+    'restaurant.payments.update': 'Update sale payment status',
+
+    // Guests (shared by all departments)
+    'guests.view': 'View guest profiles and visit history',
+    'guests.manage': 'Create and edit guest profiles',
+    'guests.merge': 'Find and merge duplicate guests',
+
+    // Administration
+    'users.manage': 'Manage users, sessions and lockouts',
+    'roles.manage': 'Manage roles and their permissions',
+    'audit.view': 'View the audit trail',
+    'records.restore': 'Restore deleted reservations, bookings and sales',
+    'settings.manage': 'Edit business details shown on invoices and receipts'
+};
+
+const DEFAULT_ROLES = [
+    {
+        name: 'admin',
+        displayName: 'Administrator',
+        description: 'Full access to every module',
+        permissions: ['*']
+    },
+    // Department managers: every action inside their own module, plus the shared guest directory
+    {
+        name: 'hotel_manager',
+        displayName: 'Hotel Manager',
+        description: 'Full control of the hotel module',
+        permissions: ['hotel.*', 'guests.view', 'guests.manage']
+    },
+    {
+        name: 'pool_manager',
+        displayName: 'Pool Manager',
+        description: 'Full control of the pool module',
+        permissions: ['pool.*', 'guests.view', 'guests.manage']
+    },
+    {
+        name: 'conference_manager',
+        displayName: 'Conference Manager',
+        description: 'Full control of the conference module',
+        permissions: ['conference.*', 'guests.view', 'guests.manage']
+    },
+    {
+        name: 'restaurant_manager',
+        displayName: 'Restaurant Manager',
+        description: 'Full control of the restaurant module',
+        permissions: ['restaurant.*', 'guests.view', 'guests.manage']
+    },
+    {
+        name: 'hotel_staff',
+        displayName: 'Hotel Staff',
+        description: 'Front desk operations',
+        permissions: [
+            'hotel.dashboard.view',
+            'hotel.reports.view',
+            'hotel.reservations.view',
+            'hotel.reservations.create',
+            'hotel.reservations.update',
+            'hotel.reservations.checkin',
+            'hotel.payments.update',
+            'hotel.folio.manage',
+            'hotel.rooms.view',
+            'hotel.rooms.status',
+            'hotel.housekeeping.view',
+            'hotel.maintenance.view',
+            'hotel.maintenance.report',
+            'hotel.roomTypes.view',
+            'hotel.services.view',
+            'guests.view',
+            'guests.manage'
+        ]
+    },
+    {
+        name: 'housekeeping_staff',
+        displayName: 'Housekeeping Staff',
+        description: 'Room cleaning tasks',
+        permissions: [
+            'hotel.housekeeping.view',
+            'hotel.housekeeping.work',
+            'hotel.maintenance.report',
+            'hotel.rooms.view'
+        ]
+    },
+    {
+        name: 'pool_staff',
+        displayName: 'Pool Staff',
+        description: 'Pool ticketing',
+        permissions: [
+            'pool.dashboard.view',
+            'pool.reports.view',
+            'pool.bookings.view',
+            'pool.bookings.create',
+            'pool.bookings.update',
+            'pool.payments.update',
+            'pool.prices.view',
+            'pool.timeSlots.view',
+            'guests.view'
+        ]
+    },
+    {
+        name: 'conference_staff',
+        displayName: 'Conference Staff',
+        description: 'Conference hall bookings',
+        permissions: [
+            'conference.bookings.view',
+            'conference.bookings.create',
+            'conference.bookings.update',
+            'conference.payments.update',
+            'conference.halls.view',
+            'conference.halls.update',
+            'conference.equipment.view',
+            'guests.view'
+        ]
+    },
+    {
+        name: 'restaurant_staff',
+        displayName: 'Restaurant Staff',
+        description: 'Restaurant orders and sales',
+        permissions: [
+            'restaurant.dashboard.view',
+            'restaurant.reports.view',
+            'restaurant.categories.view',
+            'restaurant.menu.view',
+            'restaurant.sales.view',
+            'restaurant.sales.create',
+            'restaurant.sales.update',
+            'restaurant.payments.update',
+            'guests.view'
+        ]
+    }
+];
+
+// Does a granted permission (exact, "module.*" or "*") cover the required one?
+const permissionMatches = (granted, required) => {
+    if (granted === '*' || granted === required) return true;
+    if (granted.endsWith('.*')) {
+        return required.startsWith(granted.slice(0, -1));
+    }
+    return false;
+};
+
+const hasPermission = (grantedList, required) => {
+    return grantedList.some(granted => permissionMatches(granted, required));
+};
+
+// Valid entries are catalog names, "*" and "module.*" wildcards of known modules
+const isValidPermission = (permission) => {
+    if (permission === '*' || PERMISSIONS[permission]) return true;
+    if (permission.endsWith('.*')) {
+        const prefix = permission.slice(0, -1);
+        return Object.keys(PERMISSIONS).some(name => name.startsWith(prefix));
+    }
+    return false;
+};
+
+module.exports = {
+    PERMISSIONS,
+    DEFAULT_ROLES,
+    hasPermission,
+    isValidPermission
+};
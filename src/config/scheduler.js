@@ -0,0 +1,34 @@
+// config/scheduler.js
+// Periodic background jobs, started with the server. Each job runs once at
+// startup and then every `everyMs`; a failing run is logged and retried on
+// the next tick.
+
+const JOBS = [
+    {
+        name: 'Housekeeping: open routine cleanings that came due',
+        everyMs: 15 * 60 * 1000,
+        run: () => require('../models/HousekeepingTask').scheduleDueCleanings()
+    },
+    {
+        name: 'Maintenance: start and end planned out-of-order periods',
+        everyMs: 5 * 60 * 1000,
+        run: () => require('../models/MaintenanceTicket').syncRoomStatuses()
+    }
+];
+
+const startScheduler = () => {
+    for (const job of JOBS) {
+        const tick = async () => {
+            try {
+                await job.run();
+            } catch (error) {
+                console.error(`❌ ${job.name} failed:`, error.message);
+            }
+        };
+        tick();
+        // Do not keep the process alive just for the timer
+        setInterval(tick, job.everyMs).unref();
+    }
+};
+
+module.exports = { startScheduler };
@@ -0,0 +1,102 @@
+// controllers/auditController.js
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// @desc    Get audit trail
+// @route   GET /api/audit
+// @access  Private/Admin
+exports.getAuditLogs = async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 50,
+            user,
+            entityType,
+            entityId,
+            action,
+            startDate,
+            endDate
+        } = req.query;
+
+        const query = {};
+
+        // Filter by the user who made the change
+        if (user) {
+            if (!mongoose.Types.ObjectId.isValid(user)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid user ID'
+                });
+            }
+            query.actor = user;
+        }
+
+        // Filter by entity (e.g. entityType=Reservation&entityId=...)
+        if (entityType) {
+            query.entityType = entityType;
+        }
+
+        if (entityId) {
+            if (!mongoose.Types.ObjectId.isValid(entityId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid entity ID'
+                });
+            }
+            query.entityId = entityId;
+        }
+
+        if (action && action !== 'all') {
+            query.action = action;
+        }
+
+        // Date range filter
+        if (startDate || endDate) {
+            if ((startDate && isNaN(new Date(startDate).getTime())) || (endDate && isNaN(new Date(endDate).getTime()))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid date format. Please use YYYY-MM-DD format'
+                });
+            }
+
+            query.timestamp = {};
+            if (startDate) {
+                const start = new Date(startDate);
+                start.setHours(0, 0, 0, 0);
+                query.timestamp.$gte = start;
+            }
+            if (endDate) {
+                const end = new Date(endDate);
+                end.setHours(23, 59, 59, 999);
+                query.timestamp.$lte = end;
+            }
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const logs = await AuditLog.find(query)
+            .sort({ timestamp: -1 })
+            .limit(parseInt(limit))
+            .skip(skip)
+            .populate('actor', 'name username')
+            .lean();
+
+        const total = await AuditLog.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            count: logs.length,
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+            currentPage: parseInt(page),
+            logs
+        });
+
+    } catch (error) {
+        console.error('Get audit logs error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
@@ -1,21 +1,197 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 console.log('📍 authController.js location: src/controllers/authController.js');
 
 // CORRECT PATH: From src/controllers to src/models
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
 console.log('✅ Loaded User model from ../models/User');
 
-// Generate JWT Token
-const generateToken = (userId) => {
+const LoginAttempt = require('../models/LoginAttempt');
+const { passwordPolicy, validatePasswordPolicy } = require('../config/passwordPolicy');
+const { getClientIp } = require('../middlewares/requestContext');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+// How long the previous refresh token still gets the pair issued for it
+const REFRESH_GRACE_SECONDS = parseInt(process.env.REFRESH_GRACE_SECONDS) || 30;
+
+// Brute-force protection settings
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOCKOUT_MINUTES) || 15;
+const MAX_IP_ATTEMPTS = parseInt(process.env.MAX_IP_LOGIN_ATTEMPTS) || 20;
+const ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+const FREE_ATTEMPTS = 2; // failures allowed before delays kick in
+const MAX_DELAY_MS = 30 * 1000;
+
+const TWO_FACTOR_TOKEN_EXPIRE = '5m';
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Booking Management System';
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorLastUsedStep +twoFactorBackupCodes';
+
+// Generate short-lived JWT access token bound to a session
+const generateToken = (userId, session) => {
+    return jwt.sign(
+        { userId, sid: session._id, ver: session.tokenVersion },
+        process.env.JWT_SECRET || 'dev_secret_key_123',
+        { expiresIn: process.env.JWT_EXPIRE || '15m' }
+    );
+};
+
+// Short-lived token proving the password step passed; only accepted by /login/2fa
+const generateTwoFactorToken = (userId, username) => {
     return jwt.sign(
-        { userId },
+        { userId, username, purpose: 'two_factor' },
         process.env.JWT_SECRET || 'dev_secret_key_123',
-        { expiresIn: process.env.JWT_EXPIRE || '30d' }
+        { expiresIn: TWO_FACTOR_TOKEN_EXPIRE }
     );
 };
 
+// Refresh token format: "<sessionId>.<random>" so the session can be found without scanning
+const generateRefreshToken = (sessionId) => {
+    return `${sessionId}.${crypto.randomBytes(40).toString('hex')}`;
+};
+
+// The token that replaces a refresh token on rotation. Derived from the old token
+// with the server secret, so a request racing a rotation (two tabs refreshing at
+// once) can be handed the same new token instead of tripping reuse detection.
+const rotateRefreshToken = (refreshToken) => {
+    const [sessionId] = refreshToken.split('.');
+    const next = crypto.createHmac('sha256', process.env.JWT_SECRET || 'dev_secret_key_123')
+        .update(refreshToken)
+        .digest('hex');
+    return `${sessionId}.${next}`;
+};
+
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Escape user input before using it inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Wait required after `count` failures: 1s, 2s, 4s ... capped at MAX_DELAY_MS
+const getRequiredDelay = (count) => {
+    if (count <= FREE_ATTEMPTS) return 0;
+    return Math.min(1000 * Math.pow(2, count - FREE_ATTEMPTS - 1), MAX_DELAY_MS);
+};
+
+// Seconds the caller still has to wait for this key, 0 if free to try
+const getRetryAfter = async (key, maxAttempts) => {
+    const attempt = await LoginAttempt.getActive(key);
+    if (!attempt) return 0;
+
+    if (maxAttempts && attempt.count >= maxAttempts) {
+        return Math.ceil((attempt.expiresAt - Date.now()) / 1000);
+    }
+
+    const waitMs = getRequiredDelay(attempt.count) - (Date.now() - attempt.lastAttemptAt.getTime());
+    return waitMs > 0 ? Math.ceil(waitMs / 1000) : 0;
+};
+
+// Count a failed login against the IP, the username and (if found) the account itself
+const recordFailedLogin = async (req, username, user) => {
+    const ipAddress = getClientIp(req);
+    await LoginAttempt.registerFailure(`ip:${ipAddress}`, ATTEMPT_WINDOW_MS);
+    await LoginAttempt.registerFailure(`user:${username.toLowerCase()}`, ATTEMPT_WINDOW_MS);
+
+    if (!user) return;
+
+    user.failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
+
+    if (user.failedLoginAttempts >= MAX_LOGIN_ATTEMPTS) {
+        const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+        console.log(`🔒 Locking account ${user.username} until ${lockedUntil.toISOString()}`);
+
+        user.lockUntil = lockedUntil;
+        user.lockoutEvents.push({
+            lockedAt: new Date(),
+            lockedUntil,
+            failedAttempts: user.failedLoginAttempts,
+            ipAddress
+        });
+        // Keep only the most recent events
+        if (user.lockoutEvents.length > 20) {
+            user.lockoutEvents = user.lockoutEvents.slice(-20);
+        }
+        user.failedLoginAttempts = 0;
+    }
+
+    await user.save();
+};
+
+const invalidCredentials = (res) => {
+    return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials',
+        message: 'Invalid credentials'
+    });
+};
+
+// Create a new login session and return the token pair for it
+const createSession = async (user, req) => {
+    const session = new Session({
+        user: user._id,
+        refreshTokenHash: 'pending',
+        userAgent: req.headers['user-agent'] || '',
+        deviceName: req.body.deviceName || '',
+        ipAddress: getClientIp(req),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    const refreshToken = generateRefreshToken(session._id);
+    session.refreshTokenHash = hashToken(refreshToken);
+    await session.save();
+
+    return {
+        token: generateToken(user._id, session),
+        refreshToken,
+        session
+    };
+};
+
+// Last step of every successful login: reset counters, open a session, send tokens
+const completeLogin = async (user, req, res, userKey, extra = {}) => {
+    // Successful login resets the account and username counters
+    user.failedLoginAttempts = 0;
+    user.lockUntil = null;
+    await LoginAttempt.clear(userKey);
+
+    // Update last login - best effort, handle potential pre-save hook errors
+    try {
+        user.lastLogin = Date.now();
+        await user.save();
+        console.log('✅ Last login updated');
+    } catch (saveError) {
+        console.log('⚠️ Could not update last login:', saveError.message);
+        // Continue anyway - this is not critical
+    }
+
+    // Generate access + refresh tokens for a new session
+    const { token, refreshToken } = await createSession(user, req);
+    console.log(`✅ Token generated (${token.length} chars)`);
+
+    // Prepare user data without password
+    const userData = user.toJSON();
+    const roles = user.getRoles();
+
+    console.log('\n🎉 ========== LOGIN SUCCESSFUL ==========');
+    console.log(`   User: ${userData.name} (${userData.role})`);
+
+    res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        token,
+        refreshToken,
+        user: userData,
+        permissions: await Role.getPermissionsFor(roles),
+        twoFactorSetupRequired: !user.twoFactorEnabled && await Role.requiresTwoFactor(roles),
+        ...extra
+    });
+};
+
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
@@ -27,7 +203,7 @@ exports.login = async (req, res) => {
         const { username, password } = req.body;
 
         // Validate input
-        if (!username || !password) {
+        if (!username || !password || typeof username !== 'string' || typeof password !== 'string') {
             console.log('❌ Missing username or password');
             return res.status(400).json({
                 success: false,
@@ -35,6 +211,24 @@ exports.login = async (req, res) => {
             });
         }
 
+        // Progressive delay per IP and per username
+        const ipKey = `ip:${getClientIp(req)}`;
+        const userKey = `user:${username.toLowerCase()}`;
+        const retryAfter = Math.max(
+            await getRetryAfter(ipKey, MAX_IP_ATTEMPTS),
+            await getRetryAfter(userKey)
+        );
+
+        if (retryAfter > 0) {
+            console.log(`⏳ Login throttled for "${username}" (${retryAfter}s)`);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                success: false,
+                message: `Too many failed login attempts. Please try again in ${retryAfter} seconds.`,
+                retryAfter
+            });
+        }
+
         console.log(`🔍 Searching for user: "${username}"`);
 
         // Try exact username match first
@@ -45,7 +239,7 @@ exports.login = async (req, res) => {
 
             // Try case-insensitive username
             user = await User.findOne({
-                username: { $regex: new RegExp(`^${username}$`, 'i') }
+                username: { $regex: new RegExp(`^${escapeRegex(username)}$`, 'i') }
             }).select('+password');
 
             if (!user) {
@@ -57,16 +251,13 @@ exports.login = async (req, res) => {
                 if (!user) {
                     // Try case-insensitive email
                     user = await User.findOne({
-                        email: { $regex: new RegExp(`^${username}$`, 'i') }
+                        email: { $regex: new RegExp(`^${escapeRegex(username)}$`, 'i') }
                     }).select('+password');
 
                     if (!user) {
                         console.log(`❌ User not found with email either: "${username}"`);
-                        return res.status(401).json({
-                            success: false,
-                            error: 'Invalid credentials',
-                            message: 'Invalid credentials'
-                        });
+                        await recordFailedLogin(req, username, null);
+                        return invalidCredentials(res);
                     } else {
                         console.log(`✅ User found by email (case-insensitive): ${user.email}`);
                     }
@@ -100,15 +291,6 @@ exports.login = async (req, res) => {
             });
         }
 
-        // Check if user is active
-        if (!user.isActive) {
-            console.log('❌ User account is inactive');
-            return res.status(401).json({
-                success: false,
-                message: 'Your account has been deactivated'
-            });
-        }
-
         console.log('\n🔑 Starting password verification...');
         console.log('   Input password length:', password.length);
 
@@ -140,41 +322,46 @@ exports.login = async (req, res) => {
 
         if (!isPasswordMatch) {
             console.log('❌ Password does not match');
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid credentials',
-                message: 'Invalid credentials'
-            });
+            // A locked account's own counter stays put; the IP/username throttle still counts
+            await recordFailedLogin(req, username, user.isLocked() ? null : user);
+            return invalidCredentials(res);
         }
 
         console.log('✅ Password verified successfully!');
 
-        // Update last login - handle potential pre-save hook errors
-        try {
-            user.lastLogin = Date.now();
-            await user.save();
-            console.log('✅ Last login updated');
-        } catch (saveError) {
-            console.log('⚠️ Could not update last login:', saveError.message);
-            // Continue anyway - this is not critical
+        // Account state is only revealed once the password is right, so it
+        // cannot be used to find out which usernames exist
+        if (user.isLocked()) {
+            const minutesLeft = Math.ceil((user.lockUntil - Date.now()) / 60000);
+            console.log(`🔒 Account locked until ${user.lockUntil.toISOString()}`);
+            return res.status(423).json({
+                success: false,
+                message: `Account is temporarily locked due to too many failed login attempts. Try again in ${minutesLeft} minute(s) or contact an administrator.`,
+                lockUntil: user.lockUntil
+            });
         }
 
-        // Generate token
-        const token = generateToken(user._id);
-        console.log(`✅ Token generated (${token.length} chars)`);
+        // Check if user is active
+        if (!user.isActive) {
+            console.log('❌ User account is inactive');
+            return res.status(401).json({
+                success: false,
+                message: 'Your account has been deactivated'
+            });
+        }
 
-        // Prepare user data without password
-        const userData = user.toJSON();
+        // Accounts with 2FA need a code as well; no session is created yet
+        if (user.twoFactorEnabled) {
+            console.log('🔐 Two-factor code required');
+            return res.status(200).json({
+                success: true,
+                twoFactorRequired: true,
+                twoFactorToken: generateTwoFactorToken(user._id, username),
+                message: 'Enter the code from your authenticator app'
+            });
+        }
 
-        console.log('\n🎉 ========== LOGIN SUCCESSFUL ==========');
-        console.log(`   User: ${userData.name} (${userData.role})`);
-
-        res.status(200).json({
-            success: true,
-            message: 'Login successful',
-            token,
-            user: userData
-        });
+        await completeLogin(user, req, res, userKey);
 
     } catch (error) {
         console.error('\n⚠️ ========== LOGIN ERROR ==========');
@@ -196,6 +383,99 @@ exports.login = async (req, res) => {
     }
 };
 
+// @desc    Second login step: verify TOTP or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public (requires twoFactorToken from /login)
+exports.verifyTwoFactorLogin = async (req, res) => {
+    try {
+        const { twoFactorToken, code } = req.body;
+
+        if (!twoFactorToken || !code || typeof twoFactorToken !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide two-factor token and code'
+            });
+        }
+
+        let decoded;
+        try {
+            decoded = jwt.verify(twoFactorToken, process.env.JWT_SECRET || 'dev_secret_key_123');
+        } catch (error) {
+            decoded = null;
+        }
+
+        if (!decoded || decoded.purpose !== 'two_factor') {
+            return res.status(401).json({
+                success: false,
+                message: 'Two-factor session expired. Please log in again.'
+            });
+        }
+
+        // Codes are guessable, so they share the login throttle
+        const ipKey = `ip:${getClientIp(req)}`;
+        const userKey = `user:${decoded.username.toLowerCase()}`;
+        const retryAfter = Math.max(
+            await getRetryAfter(ipKey, MAX_IP_ATTEMPTS),
+            await getRetryAfter(userKey)
+        );
+
+        if (retryAfter > 0) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                success: false,
+                message: `Too many failed login attempts. Please try again in ${retryAfter} seconds.`,
+                retryAfter
+            });
+        }
+
+        const user = await User.findById(decoded.userId).select(TWO_FACTOR_FIELDS);
+
+        if (!user || !user.isActive || !user.twoFactorEnabled) {
+            return res.status(401).json({
+                success: false,
+                message: 'Two-factor session expired. Please log in again.'
+            });
+        }
+
+        if (user.isLocked()) {
+            const minutesLeft = Math.ceil((user.lockUntil - Date.now()) / 60000);
+            return res.status(423).json({
+                success: false,
+                message: `Account is temporarily locked due to too many failed login attempts. Try again in ${minutesLeft} minute(s) or contact an administrator.`,
+                lockUntil: user.lockUntil
+            });
+        }
+
+        const method = user.verifyTwoFactorCode(String(code));
+        if (!method) {
+            console.log(`❌ Invalid two-factor code for ${user.username}`);
+            await recordFailedLogin(req, decoded.username, user);
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid verification code'
+            });
+        }
+
+        // Spend the code (TOTP step or backup code) in its own write before the
+        // login succeeds; if it cannot be stored the code would stay reusable
+        await user.save();
+        console.log(`✅ Two-factor verified for ${user.username} (${method})`);
+
+        const extra = {};
+        if (method === 'backup_code') {
+            extra.backupCodesRemaining = user.twoFactorBackupCodes.length;
+        }
+
+        await completeLogin(user, req, res, userKey, extra);
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
@@ -212,7 +492,8 @@ exports.getMe = async (req, res) => {
 
         res.status(200).json({
             success: true,
-            user
+            user,
+            permissions: await Role.getPermissionsFor(user.getRoles())
         });
     } catch (error) {
         console.error('Get me error:', error);
@@ -223,11 +504,103 @@ exports.getMe = async (req, res) => {
     }
 };
 
-// @desc    Logout user
+// @desc    Rotate refresh token and issue a new access token
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refresh = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide refresh token'
+            });
+        }
+
+        const [sessionId] = refreshToken.split('.');
+        const session = await Session.findById(sessionId).select('+refreshTokenHash');
+
+        if (!session || !session.isActive()) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token'
+            });
+        }
+
+        // The previous token shortly after its rotation is a concurrent refresh, not
+        // theft: it gets the pair that rotation issued
+        const newRefreshToken = rotateRefreshToken(refreshToken);
+        const alreadyRotated = session.refreshTokenHash === hashToken(newRefreshToken) &&
+            !!session.rotatedAt &&
+            Date.now() - session.rotatedAt.getTime() <= REFRESH_GRACE_SECONDS * 1000;
+
+        // A rotated token being presented again means it was stolen - kill the session
+        if (session.refreshTokenHash !== hashToken(refreshToken) && !alreadyRotated) {
+            console.log(`⚠️ Refresh token reuse detected for session ${session._id}`);
+            session.revokedAt = new Date();
+            session.revokedReason = 'reuse_detected';
+            await session.save();
+
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token'
+            });
+        }
+
+        const user = await User.findById(session.user);
+        if (!user || !user.isActive) {
+            session.revokedAt = new Date();
+            session.revokedReason = 'user_deactivated';
+            await session.save();
+
+            return res.status(401).json({
+                success: false,
+                message: 'Your account has been deactivated'
+            });
+        }
+
+        // Rotate: new refresh token, and bump version so older access tokens are rejected
+        if (!alreadyRotated) {
+            session.refreshTokenHash = hashToken(newRefreshToken);
+            session.tokenVersion += 1;
+            session.rotatedAt = new Date();
+        }
+        session.lastSeenAt = new Date();
+        session.ipAddress = getClientIp(req);
+        await session.save();
+
+        res.status(200).json({
+            success: true,
+            token: generateToken(user._id, session),
+            refreshToken: newRefreshToken
+        });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        if (error.name === 'CastError') {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Logout user (revokes the current session)
 // @route   POST /api/auth/logout
 // @access  Private
 exports.logout = async (req, res) => {
     try {
+        if (req.session) {
+            req.session.revokedAt = new Date();
+            req.session.revokedReason = 'logout';
+            await req.session.save();
+        }
+
         res.status(200).json({
             success: true,
             message: 'Logged out successfully'
@@ -239,4 +612,418 @@ exports.logout = async (req, res) => {
             message: 'Server error'
         });
     }
+};
+
+// @desc    Get active sessions of the logged in user
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        })
+            .sort({ lastSeenAt: -1 })
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            count: sessions.length,
+            sessions: sessions.map(session => ({
+                ...session,
+                current: session._id.toString() === req.session._id.toString()
+            }))
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Revoke one of the logged in user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res) => {
+    try {
+        const session = await Session.findOne({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        if (!session.revokedAt) {
+            session.revokedAt = new Date();
+            session.revokedReason = 'user_revoked';
+            session.revokedBy = req.user._id;
+            await session.save();
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Change password of the logged in user
+// @route   PUT /api/auth/password
+// @access  Private
+exports.changePassword = async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide current and new password'
+            });
+        }
+
+        const passwordErrors = validatePasswordPolicy(newPassword, req.user);
+        if (passwordErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: passwordErrors.join(', ')
+            });
+        }
+
+        const user = await User.findById(req.user._id).select('+password');
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const isPasswordMatch = await user.comparePassword(currentPassword);
+        if (!isPasswordMatch) {
+            return res.status(401).json({
+                success: false,
+                message: 'Current password is incorrect'
+            });
+        }
+
+        if (currentPassword === newPassword) {
+            return res.status(400).json({
+                success: false,
+                message: 'New password must be different from current password'
+            });
+        }
+
+        user.password = newPassword;
+        user.mustChangePassword = false;
+        await user.save();
+
+        // Log out every other device, keep the one making this request
+        await Session.updateMany(
+            { user: user._id, revokedAt: null, _id: { $ne: req.session._id } },
+            { revokedAt: new Date(), revokedReason: 'password_changed' }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Password changed successfully',
+            user
+        });
+    } catch (error) {
+        console.error('Change own password error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Set a new password using an admin-issued reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+exports.resetPassword = async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+
+        if (!token || !newPassword || typeof token !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide reset token and new password'
+            });
+        }
+
+        const user = await User.findOne({
+            passwordResetTokenHash: hashToken(token),
+            passwordResetExpires: { $gt: new Date() }
+        }).select('+password +passwordResetTokenHash +passwordResetExpires');
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reset token is invalid or has expired'
+            });
+        }
+
+        const passwordErrors = validatePasswordPolicy(newPassword, user);
+        if (passwordErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: passwordErrors.join(', ')
+            });
+        }
+
+        // Token is single use
+        user.password = newPassword;
+        user.passwordResetTokenHash = undefined;
+        user.passwordResetExpires = undefined;
+        user.mustChangePassword = false;
+        user.failedLoginAttempts = 0;
+        user.lockUntil = null;
+        await user.save();
+
+        await Session.revokeAllForUser(user._id, 'password_changed');
+
+        res.status(200).json({
+            success: true,
+            message: 'Password has been reset. Please log in with your new password.'
+        });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get password rules so the client can show them
+// @route   GET /api/auth/password-policy
+// @access  Public
+exports.getPasswordPolicy = (req, res) => {
+    res.status(200).json({
+        success: true,
+        policy: passwordPolicy
+    });
+};
+
+// @desc    Start two-factor enrollment: new secret + otpauth URI for the authenticator app
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const secret = generateSecret();
+        user.twoFactorPendingSecret = secret;
+        await user.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code',
+            secret,
+            otpauthUrl: buildOtpauthUri({ secret, accountName: user.username, issuer: TWO_FACTOR_ISSUER })
+        });
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Confirm enrollment with a code and turn two-factor on
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide the code from your authenticator app'
+            });
+        }
+
+        const user = await User.findById(req.user._id).select(`+twoFactorPendingSecret ${TWO_FACTOR_FIELDS}`);
+
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        if (!user.twoFactorPendingSecret) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start two-factor setup first'
+            });
+        }
+
+        const step = verifyCode(user.twoFactorPendingSecret, code);
+        if (step === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid verification code. Check the time on your device and try again.'
+            });
+        }
+
+        user.twoFactorSecret = user.twoFactorPendingSecret;
+        user.twoFactorPendingSecret = undefined;
+        user.twoFactorLastUsedStep = step;
+        user.twoFactorEnabled = true;
+        user.twoFactorEnabledAt = new Date();
+        const backupCodes = user.generateBackupCodes();
+        await user.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store the backup codes somewhere safe; they are shown only once.',
+            backupCodes
+        });
+    } catch (error) {
+        console.error('Enable two-factor error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Turn two-factor off (needs password and a current code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+    try {
+        const { password, code } = req.body;
+
+        if (!password || !code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide password and verification code'
+            });
+        }
+
+        const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (await Role.requiresTwoFactor(user.getRoles())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Your role requires two-factor authentication'
+            });
+        }
+
+        const isPasswordMatch = await user.comparePassword(password);
+        if (!isPasswordMatch || !user.verifyTwoFactorCode(String(code))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid password or verification code'
+            });
+        }
+
+        user.disableTwoFactor();
+        await user.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        console.error('Disable two-factor error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Replace backup recovery codes
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+exports.regenerateBackupCodes = async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        // Only an authenticator code will do here, not an old backup code
+        const step = verifyCode(user.twoFactorSecret, code, { lastUsedStep: user.twoFactorLastUsedStep });
+        if (step === null) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid verification code'
+            });
+        }
+
+        user.twoFactorLastUsedStep = step;
+        const backupCodes = user.generateBackupCodes();
+        await user.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'New backup codes generated. Previous codes no longer work.',
+            backupCodes
+        });
+    } catch (error) {
+        console.error('Regenerate backup codes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
 };
\ No newline at end of file
@@ -195,6 +195,8 @@ exports.updateCategory = async (req, res) => {
             });
         }
 
+        const oldDisplayName = category.displayName;
+
         // Update fields
         if (displayName) category.displayName = displayName;
         if (icon) category.icon = icon;
@@ -207,11 +209,14 @@ exports.updateCategory = async (req, res) => {
         await category.save();
 
         // If category name changed, update all menu items with this category
-        if (displayName && displayName !== category.displayName) {
-            await MenuItem.updateMany(
-                { category: category.name },
-                { $set: { categoryDisplay: displayName } }
-            );
+        // (saved one by one so each change is audited)
+        if (displayName && displayName !== oldDisplayName) {
+            const menuItems = await MenuItem.find({ category: category.name });
+            for (const menuItem of menuItems) {
+                menuItem.categoryDisplay = displayName;
+                menuItem.updatedBy = req.user._id;
+                await menuItem.save();
+            }
         }
 
         const updatedCategory = await Category.findById(category._id)
@@ -307,16 +312,15 @@ exports.initializeCategories = async (req, res) => {
             { name: 'ice_cream', displayName: 'Ice Cream', icon: 'ice-cream', sortOrder: 130 }
         ];
 
+        // Load and save rather than upsert so each change is audited
         for (const cat of defaultCategories) {
-            await Category.findOneAndUpdate(
-                { name: cat.name },
-                {
-                    ...cat,
-                    createdBy: req.user._id,
-                    updatedBy: req.user._id
-                },
-                { upsert: true, new: true }
-            );
+            const category = await Category.findOne({ name: cat.name });
+            if (category) {
+                category.set({ ...cat, updatedBy: req.user._id });
+                await category.save();
+            } else {
+                await Category.create({ ...cat, createdBy: req.user._id, updatedBy: req.user._id });
+            }
         }
 
         res.status(200).json({
@@ -1,5 +1,25 @@
 const Conference = require('../models/Conference');
 const ConferenceHall = require('../models/ConferenceHall');
+const Guest = require('../models/Guest');
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const { roundMoney } = require('../utils/payments');
+
+// advancePaid is a cached total of the payment ledger. A new value sent by the
+// client is recorded as the difference (a refund when it goes down).
+const recordAdvancePaid = async (booking, advancePaid, userId, { method, reference } = {}) => {
+    const totals = await Payment.syncBooking('conference', booking);
+    const difference = roundMoney(advancePaid - totals.net);
+    if (difference !== 0) {
+        await Payment.recordForBooking('conference', booking, {
+            amount: difference,
+            method,
+            reference,
+            notes: difference > 0 ? 'Advance payment' : 'Advance reduced',
+            receivedBy: userId
+        });
+    }
+};
 
 // @desc    Get all conference bookings with filters
 // @route   GET /api/conference/bookings
@@ -14,9 +34,11 @@ exports.getBookings = async (req, res) => {
             search,
             startDate,
             endDate,
+            includeDeleted,
             sortBy = 'startDate',
             sortOrder = 'asc'
         } = req.query;
+        const withDeleted = includeDeleted === 'true';
 
         const query = {};
 
@@ -60,14 +82,16 @@ exports.getBookings = async (req, res) => {
 
         // Get bookings with population
         const bookings = await Conference.find(query)
+            .withDeleted(withDeleted)
             .sort(sort)
             .limit(parseInt(limit))
             .skip(skip)
             .populate('createdBy', 'name email')
             .populate('approvedBy', 'name')
+            .populate('deletedBy', 'name')
             .lean();
 
-        const total = await Conference.countDocuments(query);
+        const total = await Conference.countDocuments(query).withDeleted(withDeleted);
 
         // Add netAmount and balanceDue to each booking
         const bookingsWithCalculations = bookings.map(booking => ({
@@ -149,6 +173,7 @@ exports.createBooking = async (req, res) => {
         console.log('📦 Request body:', JSON.stringify(req.body, null, 2));
 
         const {
+            guestId,
             eventName,
             clientName,
             company,
@@ -283,14 +308,8 @@ exports.createBooking = async (req, res) => {
         }
         console.log('✅ No overlapping bookings found');
 
-        // 🔢 Step 6: Generate booking number
-        console.log('🔢 STEP 6: Generating booking number...');
-        const bookingCount = await Conference.countDocuments();
-        const bookingNumber = `CH-${Date.now().toString().slice(-6)}-${bookingCount + 1}`;
-        console.log('Generated booking number:', bookingNumber);
-
-        // 💰 Step 7: Parse and validate payment details
-        console.log('💰 STEP 7: Processing payment details...');
+        // 💰 Step 6: Parse and validate payment details
+        console.log('💰 STEP 6: Processing payment details...');
         const amountNum = parseFloat(amount);
         const discountNum = parseFloat(discount) || 0;
         const discountedAmountNum = amountNum - discountNum;
@@ -325,27 +344,28 @@ exports.createBooking = async (req, res) => {
             });
         }
 
-        let paymentStatus = 'pending';
-        if (advancePaidNum >= discountedAmountNum) {
-            paymentStatus = 'paid';
-        } else if (advancePaidNum > 0) {
-            paymentStatus = 'partial';
+        if (advancePaidNum < 0 || advancePaidNum > discountedAmountNum) {
+            console.log('❌ Invalid advance');
+            return res.status(400).json({
+                success: false,
+                message: 'Advance paid must be between 0 and the discounted amount'
+            });
         }
-        console.log('Payment Status:', paymentStatus);
-
-        // 🔧 Step 7b: Generate invoice number if needed
-        console.log('🔧 STEP 7b: Checking for invoice generation...');
-        let invoiceNumber = '';
-        if (req.body.bookingStatus === 'approved') {
-            const invoiceCount = Math.floor(Math.random() * 1000) + 1000;
-            invoiceNumber = `INV-CH-${new Date().getFullYear()}-${invoiceCount}`;
-            console.log('Generated invoice number:', invoiceNumber);
+
+        // Link to a guest profile (explicit guestId, or matched/created from contact details)
+        const guest = await Guest.resolveForBooking({ guestId, name: clientName, email: email, phone: phone }, req.user._id);
+        if (guestId && !guest) {
+            return res.status(400).json({
+                success: false,
+                message: 'Guest not found'
+            });
         }
 
-        // 📝 Step 8: Create booking document
-        console.log('📝 STEP 8: Creating booking in database...');
+        // 📝 Step 7: Create booking document
+        console.log('📝 STEP 7: Creating booking in database...');
 
         const bookingData = {
+            guest: guest ? guest._id : null,
             eventName,
             clientName,
             company: company || '',
@@ -364,25 +384,24 @@ exports.createBooking = async (req, res) => {
             amount: amountNum,
             discount: discountNum,
             discountedAmount: discountedAmountNum,
-            advancePaid: advancePaidNum,
-            paymentStatus,
+            advancePaid: 0, // set from the payment ledger below
+            paymentStatus: 'pending',
             bookingStatus: 'pending',
-            bookingNumber,
             notes: notes || '',
             createdBy: req.user._id
         };
 
-        // Add invoice number if generated
-        if (invoiceNumber) {
-            bookingData.invoiceNumber = invoiceNumber;
+        // Approved on creation: the invoice is issued once the booking is saved
+        const approvedOnCreate = req.body.bookingStatus === 'approved';
+        if (approvedOnCreate) {
             bookingData.approvedAt = new Date();
             bookingData.approvedBy = req.user._id;
         }
 
         console.log('Booking data to save:', JSON.stringify(bookingData, null, 2));
 
-        // 🔍 Step 9: Create the booking
-        console.log('🔍 STEP 9: Saving to database...');
+        // 🔍 Step 8: Create the booking
+        console.log('🔍 STEP 8: Saving to database...');
         const booking = await Conference.create(bookingData);
 
         console.log('✅ Conference booking created successfully!');
@@ -390,8 +409,26 @@ exports.createBooking = async (req, res) => {
         console.log('Booking Number:', booking.bookingNumber);
         console.log('Created at:', booking.createdAt);
 
-        // 👤 Step 10: Populate and return response
-        console.log('👤 STEP 10: Populating booking details...');
+        // 💰 Step 9b: Record the advance in the payment ledger
+        if (advancePaidNum > 0) {
+            await recordAdvancePaid(booking, advancePaidNum, req.user._id, {
+                method: req.body.paymentMethod,
+                reference: req.body.paymentReference
+            });
+            await booking.save();
+            console.log('Payment Status:', booking.paymentStatus);
+        }
+
+        // 🔧 Step 9c: Issue invoice if approved
+        if (approvedOnCreate) {
+            const { invoice } = await Invoice.issueForBooking('conference', booking, req.user._id);
+            booking.invoiceNumber = invoice.invoiceNumber;
+            await booking.save();
+            console.log('Issued invoice number:', invoice.invoiceNumber);
+        }
+
+        // 👤 Step 9: Populate and return response
+        console.log('👤 STEP 9: Populating booking details...');
         const populatedBooking = await Conference.findById(booking._id)
             .populate('createdBy', 'name email')
             .populate('approvedBy', 'name')
@@ -482,14 +519,14 @@ exports.updateBooking = async (req, res) => {
             'eventName', 'clientName', 'company', 'email', 'phone',
             'hallType', 'startDate', 'endDate', 'startTime', 'endTime',
             'eventType', 'attendees', 'cateringRequired', 'equipmentRequired',
-            'specialRequirements', 'amount', 'discount', 'advancePaid', 'notes'
+            'specialRequirements', 'amount', 'discount', 'notes'
         ];
 
         updatableFields.forEach(field => {
             if (req.body[field] !== undefined) {
                 if (field === 'startDate' || field === 'endDate') {
                     booking[field] = new Date(req.body[field]);
-                } else if (field === 'attendees' || field === 'amount' || field === 'discount' || field === 'advancePaid') {
+                } else if (field === 'attendees' || field === 'amount' || field === 'discount') {
                     booking[field] = parseFloat(req.body[field]);
                 } else if (field === 'cateringRequired' || field === 'equipmentRequired') {
                     booking[field] = Boolean(req.body[field]);
@@ -510,21 +547,28 @@ exports.updateBooking = async (req, res) => {
         // Update discounted amount
         booking.discountedAmount = booking.amount - booking.discount;
 
-        // Update payment status based on advance paid (using discounted amount)
-        const netAmount = booking.amount - booking.discount;
-        if (booking.advancePaid >= netAmount) {
-            booking.paymentStatus = 'paid';
-        } else if (booking.advancePaid > 0) {
-            booking.paymentStatus = 'partial';
+        // Payment status follows the ledger against the (possibly new) net amount
+        if (req.body.advancePaid !== undefined) {
+            const advancePaidNum = parseFloat(req.body.advancePaid);
+            if (isNaN(advancePaidNum) || advancePaidNum < 0 || advancePaidNum > booking.getAmountDue()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Advance paid must be between 0 and the discounted amount'
+                });
+            }
+            await recordAdvancePaid(booking, advancePaidNum, req.user._id, {
+                method: req.body.paymentMethod,
+                reference: req.body.paymentReference
+            });
         } else {
-            booking.paymentStatus = 'pending';
+            await Payment.syncBooking('conference', booking);
         }
 
-        // Generate invoice number if booking is being approved
+        // Issue invoice if booking is being approved
         if (req.body.bookingStatus === 'approved' && booking.bookingStatus !== 'approved') {
             if (!booking.invoiceNumber) {
-                const invoiceCount = Math.floor(Math.random() * 1000) + 1000;
-                booking.invoiceNumber = `INV-CH-${new Date().getFullYear()}-${invoiceCount}`;
+                const { invoice } = await Invoice.issueForBooking('conference', booking, req.user._id);
+                booking.invoiceNumber = invoice.invoiceNumber;
                 booking.approvedAt = new Date();
                 booking.approvedBy = req.user._id;
             }
@@ -612,10 +656,10 @@ exports.updateBookingStatus = async (req, res) => {
             booking.approvedBy = req.user._id;
             booking.approvedAt = new Date();
 
-            // Generate invoice number if not already exists
+            // Issue invoice if not already issued
             if (!booking.invoiceNumber) {
-                const invoiceCount = Math.floor(Math.random() * 1000) + 1000;
-                booking.invoiceNumber = `INV-CH-${new Date().getFullYear()}-${invoiceCount}`;
+                const { invoice } = await Invoice.issueForBooking('conference', booking, req.user._id);
+                booking.invoiceNumber = invoice.invoiceNumber;
             }
         }
 
@@ -659,7 +703,7 @@ exports.updateBookingStatus = async (req, res) => {
 // @access  Private/Admin, Conference Staff
 exports.updatePaymentStatus = async (req, res) => {
     try {
-        const { paymentStatus, advancePaid } = req.body;
+        const { paymentStatus, advancePaid, paymentMethod, paymentReference } = req.body;
 
         if (!paymentStatus || !['pending', 'partial', 'paid', 'cancelled', 'refunded'].includes(paymentStatus)) {
             return res.status(400).json({
@@ -676,10 +720,35 @@ exports.updatePaymentStatus = async (req, res) => {
             });
         }
 
-        booking.paymentStatus = paymentStatus;
+        // Check the request against the ledger before recording anything
+        const totals = await Payment.syncBooking('conference', booking);
+        const amountDue = booking.getAmountDue();
+        const targetPaid = advancePaid !== undefined ? parseFloat(advancePaid) : totals.net;
+
+        if (isNaN(targetPaid) || targetPaid < 0 || targetPaid > amountDue) {
+            return res.status(400).json({
+                success: false,
+                message: 'Advance paid must be between 0 and the discounted amount'
+            });
+        }
+        if (paymentStatus === 'pending' && targetPaid > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${targetPaid} has been received; record a refund instead`
+            });
+        }
+        if (paymentStatus === 'partial' && (targetPaid <= 0 || targetPaid >= amountDue)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Status partial needs an advance that is less than the amount due'
+            });
+        }
+
+        const paymentDetails = { method: paymentMethod, reference: paymentReference };
         if (advancePaid !== undefined) {
-            booking.advancePaid = parseFloat(advancePaid);
+            await recordAdvancePaid(booking, targetPaid, req.user._id, paymentDetails);
         }
+        await Payment.applyStatus('conference', booking, paymentStatus, { ...paymentDetails, receivedBy: req.user._id });
 
         await booking.save();
 
@@ -716,7 +785,7 @@ exports.updatePaymentStatus = async (req, res) => {
     }
 };
 
-// @desc    Delete conference booking
+// @desc    Delete conference booking (soft delete, optional reason in body or query)
 // @route   DELETE /api/conference/bookings/:id
 // @access  Private/Admin
 exports.deleteBooking = async (req, res) => {
@@ -738,7 +807,8 @@ exports.deleteBooking = async (req, res) => {
             });
         }
 
-        await booking.deleteOne();
+        const reason = (req.body && req.body.reason) || req.query.reason || '';
+        await booking.softDelete(req.user._id, reason);
 
         res.status(200).json({
             success: true,
@@ -760,6 +830,73 @@ exports.deleteBooking = async (req, res) => {
     }
 };
 
+// @desc    Restore soft-deleted conference booking
+// @route   POST /api/conference/bookings/:id/restore
+// @access  Private/Admin
+exports.restoreBooking = async (req, res) => {
+    try {
+        const booking = await Conference.findById(req.params.id).withDeleted();
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (!booking.deletedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Booking is not deleted'
+            });
+        }
+
+        // The hall may have been booked again while the booking was deleted
+        if (['approved', 'confirmed', 'pending'].includes(booking.bookingStatus)) {
+            const overlappingBookings = await Conference.find({
+                _id: { $ne: booking._id },
+                hallType: booking.hallType,
+                startDate: { $lte: booking.endDate },
+                endDate: { $gte: booking.startDate },
+                bookingStatus: { $in: ['approved', 'confirmed', 'pending'] }
+            });
+
+            if (overlappingBookings.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: `Hall has been booked for these dates since the booking was deleted (${overlappingBookings.map(other => other.bookingNumber).join(', ')})`
+                });
+            }
+        }
+
+        await booking.restore();
+
+        const restoredBooking = await Conference.findById(booking._id)
+            .populate('createdBy', 'name email')
+            .populate('approvedBy', 'name')
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            message: 'Booking restored successfully',
+            booking: restoredBooking
+        });
+
+    } catch (error) {
+        console.error('Restore conference booking error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 // @desc    Get dashboard stats for conference
 // @route   GET /api/conference/dashboard
 // @access  Private/Admin, Conference Staff
@@ -0,0 +1,228 @@
+// controllers/folioController.js
+const Reservation = require('../models/Reservation');
+const Service = require('../models/Service');
+const Payment = require('../models/Payment');
+
+const CHARGE_TYPES = ['room_night', 'service', 'restaurant', 'other'];
+
+// @desc    Get itemized folio with running balance
+// @route   GET /api/hotel/reservations/:id/folio
+// @access  Private/Admin, Hotel Staff
+exports.getFolio = async (req, res) => {
+    try {
+        const reservation = await Reservation.findById(req.params.id)
+            .populate('extraCharges.postedBy', 'name')
+            .populate('extraCharges.voidedBy', 'name');
+
+        if (!reservation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reservation not found'
+            });
+        }
+
+        // Paid/balance come from the amount cached from the payment ledger on every write
+        const folio = reservation.getFolio();
+        folio.payments = await Payment.find({ bookingType: 'reservation', booking: reservation._id })
+            .sort({ receivedAt: 1 })
+            .populate('receivedBy', 'name');
+
+        res.status(200).json({
+            success: true,
+            folio
+        });
+
+    } catch (error) {
+        console.error('Get folio error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Reservation not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Post a charge to the folio of a checked-in stay
+// @route   POST /api/hotel/reservations/:id/charges
+// @access  Private/Admin, Hotel Staff
+exports.postCharge = async (req, res) => {
+    try {
+        const { type = 'service', serviceId, description, amount, quantity = 1 } = req.body;
+
+        if (!CHARGE_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: `Charge type must be one of: ${CHARGE_TYPES.join(', ')}`
+            });
+        }
+
+        const reservation = await Reservation.findById(req.params.id);
+        if (!reservation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reservation not found'
+            });
+        }
+
+        if (reservation.reservationStatus !== 'checked_in') {
+            return res.status(400).json({
+                success: false,
+                message: 'Charges can only be posted during a checked-in stay'
+            });
+        }
+
+        const charge = {
+            type,
+            service: description,
+            amount: amount !== undefined ? parseFloat(amount) : undefined,
+            quantity: parseInt(quantity) || 1,
+            date: new Date(),
+            postedBy: req.user._id
+        };
+
+        // Catalog services supply the description and default price
+        if (serviceId) {
+            const service = await Service.findById(serviceId);
+            if (!service || !service.isAvailable) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Selected service is not available'
+                });
+            }
+            charge.type = 'service';
+            charge.serviceId = service._id;
+            charge.service = description || service.name;
+            if (charge.amount === undefined) charge.amount = service.price;
+        } else if (type === 'room_night' && charge.amount === undefined) {
+            charge.amount = reservation.roomRate;
+            charge.service = description || `Room ${reservation.roomNumber} - extra night`;
+        }
+
+        if (!charge.service) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a description or serviceId'
+            });
+        }
+
+        if (charge.amount === undefined || isNaN(charge.amount) || charge.amount <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Amount must be a positive number'
+            });
+        }
+
+        if (charge.quantity < 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'Quantity must be at least 1'
+            });
+        }
+
+        const posted = reservation.postCharge(charge);
+        await reservation.save();
+
+        console.log(`🧾 Posted ${posted.service} x${posted.quantity} to ${reservation.reservationNumber}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Charge posted successfully',
+            charge: posted,
+            folio: reservation.getFolio()
+        });
+
+    } catch (error) {
+        console.error('Post charge error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Reservation or service not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Void a folio posting (kept on the folio, excluded from the balance)
+// @route   POST /api/hotel/reservations/:id/charges/:chargeId/void
+// @access  Private/Admin, Hotel Staff
+exports.voidCharge = async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a reason for voiding the charge'
+            });
+        }
+
+        const reservation = await Reservation.findById(req.params.id);
+        if (!reservation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reservation not found'
+            });
+        }
+
+        if (reservation.reservationStatus !== 'checked_in') {
+            return res.status(400).json({
+                success: false,
+                message: 'Charges can only be voided during a checked-in stay'
+            });
+        }
+
+        const charge = reservation.extraCharges.id(req.params.chargeId);
+        if (!charge) {
+            return res.status(404).json({
+                success: false,
+                message: 'Charge not found'
+            });
+        }
+
+        if (charge.voided) {
+            return res.status(400).json({
+                success: false,
+                message: 'Charge is already voided'
+            });
+        }
+
+        reservation.voidCharge(charge, req.user._id, String(reason).trim());
+        await reservation.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Charge voided successfully',
+            charge,
+            folio: reservation.getFolio()
+        });
+
+    } catch (error) {
+        console.error('Void charge error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Reservation not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
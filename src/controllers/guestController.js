@@ -0,0 +1,571 @@
+// controllers/guestController.js
+const Guest = require('../models/Guest');
+const Reservation = require('../models/Reservation');
+const Pool = require('../models/Pool');
+const Conference = require('../models/Conference');
+const Sale = require('../models/Sale');
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const AuditLog = require('../models/AuditLog');
+const { normalizeName, nameSimilarity } = require('../utils/contact');
+
+// Booking collections that point at a guest
+const BOOKING_MODELS = {
+    hotel: Reservation,
+    pool: Pool,
+    conference: Conference,
+    restaurant: Sale
+};
+
+// Names at least this similar (0..1) are reported as possible duplicates
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+// Profile fields copied from a merged duplicate when the survivor has none
+const MERGE_FILL_FIELDS = ['email', 'phone', 'company', 'address', 'nationality', 'dateOfBirth'];
+
+// Editable profile fields
+const GUEST_FIELDS = [
+    'name',
+    'email',
+    'phone',
+    'company',
+    'address',
+    'nationality',
+    'dateOfBirth',
+    'idDocument',
+    'preferences',
+    'notes'
+];
+
+const pickGuestFields = (body) => {
+    const data = {};
+    for (const field of GUEST_FIELDS) {
+        if (body[field] !== undefined) data[field] = body[field];
+    }
+    return data;
+};
+
+// @desc    Get all guests
+// @route   GET /api/guests
+// @access  Private
+exports.getGuests = async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            search,
+            sortBy = 'name',
+            sortOrder = 'asc'
+        } = req.query;
+
+        const query = {};
+
+        // Search functionality
+        if (search) {
+            query.$or = [
+                { name: { $regex: search, $options: 'i' } },
+                { email: { $regex: search, $options: 'i' } },
+                { phone: { $regex: search, $options: 'i' } },
+                { company: { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        const sort = {};
+        sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const guests = await Guest.find(query)
+            .sort(sort)
+            .limit(parseInt(limit))
+            .skip(skip)
+            .lean();
+
+        const total = await Guest.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            count: guests.length,
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+            currentPage: parseInt(page),
+            guests
+        });
+
+    } catch (error) {
+        console.error('Get guests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get single guest
+// @route   GET /api/guests/:id
+// @access  Private
+exports.getGuest = async (req, res) => {
+    try {
+        const guest = await Guest.findById(req.params.id)
+            .populate('createdBy', 'name')
+            .populate('updatedBy', 'name')
+            .lean();
+
+        if (!guest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Guest not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            guest
+        });
+
+    } catch (error) {
+        console.error('Get guest error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Guest not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Create guest
+// @route   POST /api/guests
+// @access  Private
+exports.createGuest = async (req, res) => {
+    try {
+        const data = pickGuestFields(req.body);
+
+        if (!data.name) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide guest name'
+            });
+        }
+
+        if (data.email) {
+            const existingGuest = await Guest.findOne({ email: String(data.email).trim().toLowerCase() });
+            if (existingGuest) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Guest with this email already exists',
+                    guestId: existingGuest._id
+                });
+            }
+        }
+
+        const guest = await Guest.create({
+            ...data,
+            createdBy: req.user._id,
+            updatedBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Guest created successfully',
+            guest
+        });
+
+    } catch (error) {
+        console.error('Create guest error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Update guest
+// @route   PUT /api/guests/:id
+// @access  Private
+exports.updateGuest = async (req, res) => {
+    try {
+        const guest = await Guest.findById(req.params.id);
+
+        if (!guest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Guest not found'
+            });
+        }
+
+        guest.set(pickGuestFields(req.body));
+        guest.updatedBy = req.user._id;
+        await guest.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Guest updated successfully',
+            guest
+        });
+
+    } catch (error) {
+        console.error('Update guest error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Guest not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Every visit of a guest across hotel, pool, conference and restaurant, with spend
+// @route   GET /api/guests/:id/history
+// @access  Private
+exports.getGuestHistory = async (req, res) => {
+    try {
+        const guest = await Guest.findById(req.params.id).lean();
+
+        if (!guest) {
+            return res.status(404).json({
+                success: false,
+                message: 'Guest not found'
+            });
+        }
+
+        const [reservations, poolBookings, conferenceBookings, sales] = await Promise.all([
+            Reservation.find({ guest: guest._id })
+                .select('reservationNumber checkIn checkOut roomNumber roomType totalNights totalAmount paymentStatus reservationStatus')
+                .lean(),
+            Pool.find({ guest: guest._id })
+                .select('bookingNumber date timeSlot passType persons amount paymentStatus')
+                .lean(),
+            Conference.find({ guest: guest._id })
+                .select('bookingNumber eventName hallType startDate endDate discountedAmount amount discount paymentStatus bookingStatus')
+                .lean(),
+            Sale.find({ guest: guest._id })
+                .select('saleNumber createdAt orderType tableNumber totalAmount paymentStatus')
+                .lean()
+        ]);
+
+        // Cancelled / refunded visits are listed but do not count as spend
+        const visits = [
+            ...reservations.map(r => ({
+                department: 'hotel',
+                id: r._id,
+                reference: r.reservationNumber,
+                date: r.checkIn,
+                endDate: r.checkOut,
+                description: `Room ${r.roomNumber} (${r.roomType}), ${r.totalNights} night(s)`,
+                status: r.reservationStatus,
+                paymentStatus: r.paymentStatus,
+                amount: r.totalAmount || 0,
+                counted: !['cancelled', 'no_show'].includes(r.reservationStatus)
+            })),
+            ...poolBookings.map(b => ({
+                department: 'pool',
+                id: b._id,
+                reference: b.bookingNumber,
+                date: b.date,
+                description: `${b.passType} pass, ${b.persons} person(s), ${b.timeSlot}`,
+                status: b.paymentStatus,
+                paymentStatus: b.paymentStatus,
+                amount: b.amount || 0,
+                counted: b.paymentStatus !== 'cancelled'
+            })),
+            ...conferenceBookings.map(b => ({
+                department: 'conference',
+                id: b._id,
+                reference: b.bookingNumber,
+                date: b.startDate,
+                endDate: b.endDate,
+                description: `${b.eventName} (${b.hallType})`,
+                status: b.bookingStatus,
+                paymentStatus: b.paymentStatus,
+                amount: b.discountedAmount !== undefined ? b.discountedAmount : (b.amount || 0) - (b.discount || 0),
+                counted: b.bookingStatus !== 'cancelled' && !['cancelled', 'refunded'].includes(b.paymentStatus)
+            })),
+            ...sales.map(s => ({
+                department: 'restaurant',
+                id: s._id,
+                reference: s.saleNumber,
+                date: s.createdAt,
+                description: s.tableNumber ? `${s.orderType}, table ${s.tableNumber}` : s.orderType,
+                status: s.paymentStatus,
+                paymentStatus: s.paymentStatus,
+                amount: s.totalAmount || 0,
+                counted: !['cancelled', 'refunded'].includes(s.paymentStatus)
+            }))
+        ].sort((a, b) => new Date(b.date) - new Date(a.date));
+
+        const byDepartment = {};
+        for (const department of ['hotel', 'pool', 'conference', 'restaurant']) {
+            const departmentVisits = visits.filter(v => v.department === department);
+            byDepartment[department] = {
+                visits: departmentVisits.filter(v => v.counted).length,
+                spend: departmentVisits.filter(v => v.counted).reduce((sum, v) => sum + v.amount, 0)
+            };
+        }
+
+        const countedVisits = visits.filter(v => v.counted);
+
+        res.status(200).json({
+            success: true,
+            guest,
+            summary: {
+                totalVisits: countedVisits.length,
+                totalSpend: countedVisits.reduce((sum, v) => sum + v.amount, 0),
+                firstVisit: countedVisits.length ? countedVisits[countedVisits.length - 1].date : null,
+                lastVisit: countedVisits.length ? countedVisits[0].date : null,
+                byDepartment
+            },
+            visits
+        });
+
+    } catch (error) {
+        console.error('Get guest history error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Guest not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+
+// @desc    Find likely duplicate guests (same email, same phone or similar name)
+// @route   GET /api/guests/duplicates
+// @access  Private/Admin
+exports.findDuplicates = async (req, res) => {
+    try {
+        const { limit = 50 } = req.query;
+
+        const guests = await Guest.find()
+            .select('name email phone normalizedPhone company createdAt')
+            .lean();
+
+        // Union-find over guest ids; every link remembers why it was made
+        const parent = new Map(guests.map(g => [g._id.toString(), g._id.toString()]));
+        const find = (id) => {
+            while (parent.get(id) !== id) id = parent.get(id);
+            return id;
+        };
+        const linkReasons = new Map();
+        const link = (a, b, reason) => {
+            const rootA = find(a._id.toString());
+            const rootB = find(b._id.toString());
+            if (rootA !== rootB) parent.set(rootB, rootA);
+            for (const id of [a._id.toString(), b._id.toString()]) {
+                if (!linkReasons.has(id)) linkReasons.set(id, new Set());
+                linkReasons.get(id).add(reason);
+            }
+        };
+
+        const linkGroups = (keyOf, reason) => {
+            const groups = new Map();
+            for (const guest of guests) {
+                const key = keyOf(guest);
+                if (!key) continue;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(guest);
+            }
+            for (const group of groups.values()) {
+                for (let i = 1; i < group.length; i++) link(group[0], group[i], reason);
+            }
+        };
+
+        linkGroups(g => g.email, 'email');
+        linkGroups(g => g.normalizedPhone, 'phone');
+
+        // Fuzzy names: only compare names starting with the same letter to keep this fast
+        const blocks = new Map();
+        for (const guest of guests) {
+            const key = normalizeName(guest.name).charAt(0);
+            if (!key) continue;
+            if (!blocks.has(key)) blocks.set(key, []);
+            blocks.get(key).push(guest);
+        }
+        for (const block of blocks.values()) {
+            for (let i = 0; i < block.length; i++) {
+                for (let j = i + 1; j < block.length; j++) {
+                    if (nameSimilarity(block[i].name, block[j].name) >= NAME_SIMILARITY_THRESHOLD) {
+                        link(block[i], block[j], 'name');
+                    }
+                }
+            }
+        }
+
+        const clusters = new Map();
+        for (const guest of guests) {
+            const root = find(guest._id.toString());
+            if (!clusters.has(root)) clusters.set(root, []);
+            clusters.get(root).push(guest);
+        }
+
+        // Email/phone matches are stronger evidence than a similar name alone
+        const duplicates = [...clusters.values()]
+            .filter(group => group.length > 1)
+            .map(group => {
+                const reasons = new Set();
+                for (const guest of group) {
+                    for (const reason of linkReasons.get(guest._id.toString()) || []) reasons.add(reason);
+                }
+                return {
+                    reasons: [...reasons],
+                    confidence: reasons.has('email') || reasons.has('phone') ? 'high' : 'medium',
+                    guests: group.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+                };
+            })
+            .sort((a, b) => {
+                if (a.confidence !== b.confidence) return a.confidence === 'high' ? -1 : 1;
+                return b.guests.length - a.guests.length;
+            });
+
+        res.status(200).json({
+            success: true,
+            total: duplicates.length,
+            count: Math.min(duplicates.length, parseInt(limit)),
+            duplicates: duplicates.slice(0, parseInt(limit))
+        });
+
+    } catch (error) {
+        console.error('Find duplicate guests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Merge duplicate guests into this one; their bookings are moved over
+// @route   POST /api/guests/:id/merge
+// @access  Private/Admin
+exports.mergeGuests = async (req, res) => {
+    try {
+        const { duplicateIds } = req.body;
+
+        if (!Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide duplicateIds to merge'
+            });
+        }
+
+        const ids = [...new Set(duplicateIds.map(String))];
+        if (ids.includes(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A guest cannot be merged into itself'
+            });
+        }
+
+        const survivor = await Guest.findById(req.params.id);
+        if (!survivor) {
+            return res.status(404).json({
+                success: false,
+                message: 'Guest not found'
+            });
+        }
+
+        const duplicates = await Guest.find({ _id: { $in: ids } });
+        if (duplicates.length !== ids.length) {
+            return res.status(404).json({
+                success: false,
+                message: 'One or more duplicate guests not found'
+            });
+        }
+
+        // Re-point every booking, deleted ones included, so history stays complete.
+        // Old bookings are saved without validation: they may predate newer schema rules.
+        const bookingsMoved = {};
+        for (const [department, Model] of Object.entries(BOOKING_MODELS)) {
+            const bookings = await Model.find({ guest: { $in: ids } }).withDeleted();
+            for (const booking of bookings) {
+                booking.guest = survivor._id;
+                await booking.save({ validateBeforeSave: false });
+            }
+            bookingsMoved[department] = bookings.map(booking => booking._id);
+        }
+
+        // Payments and invoices carry the guest of their booking
+        for (const [collection, Model] of Object.entries({ payments: Payment, invoices: Invoice })) {
+            const records = await Model.find({ guest: { $in: ids } });
+            for (const record of records) {
+                record.guest = survivor._id;
+                await record.save({ validateBeforeSave: false });
+            }
+            bookingsMoved[collection] = records.map(record => record._id);
+        }
+
+        // Keep details the survivor is missing
+        for (const duplicate of duplicates) {
+            for (const field of MERGE_FILL_FIELDS) {
+                if (!survivor[field] && duplicate[field]) survivor[field] = duplicate[field];
+            }
+            if (!survivor.idDocument.number && duplicate.idDocument.number) {
+                survivor.idDocument = duplicate.idDocument.toObject();
+            }
+            survivor.preferences = [...new Set([...survivor.preferences, ...duplicate.preferences])];
+            if (duplicate.notes) {
+                survivor.notes = [survivor.notes, duplicate.notes].filter(Boolean).join('\n');
+            }
+        }
+        survivor.updatedBy = req.user._id;
+        await survivor.save();
+
+        const mergedGuests = duplicates.map(duplicate => JSON.parse(JSON.stringify(duplicate.toObject())));
+        for (const duplicate of duplicates) {
+            await duplicate.deleteOne();
+        }
+
+        await AuditLog.record('Guest', survivor._id, 'merge', { mergedGuests, bookingsMoved });
+
+        const counts = {};
+        for (const [department, moved] of Object.entries(bookingsMoved)) {
+            counts[department] = moved.length;
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Merged ${duplicates.length} guest(s) successfully`,
+            guest: survivor,
+            bookingsMoved: counts
+        });
+
+    } catch (error) {
+        console.error('Merge guests error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Guest not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
\ No newline at end of file
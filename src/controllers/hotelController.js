@@ -1,7 +1,23 @@
 // controllers/hotelController.js - UPDATED (WITH DISCOUNT + OPTIONAL EMAIL/PHONE)
+const mongoose = require('mongoose');
 const Reservation = require('../models/Reservation');
+const RoomNightLock = require('../models/RoomNightLock');
 const Room = require('../models/Room');
 const RoomType = require('../models/RoomType');
+const Guest = require('../models/Guest');
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const HousekeepingTask = require('../models/HousekeepingTask');
+const MaintenanceTicket = require('../models/MaintenanceTicket');
+const { roundMoney } = require('../utils/payments');
+
+// 409 for a room night already held by another reservation (lost booking race)
+const roomConflict = (res, roomNumber, holder) => res.status(409).json({
+    success: false,
+    message: holder.reservationNumber
+        ? `Room ${roomNumber} has just been booked for these dates (${holder.reservationNumber}). Please choose another room.`
+        : `Room ${roomNumber} is being booked for these dates by someone else. Please choose another room.`
+});
 
 // @desc    Get all reservations with filters
 // @route   GET /api/hotel/reservations
@@ -13,9 +29,11 @@ exports.getReservations = async (req, res) => {
             limit = 10,
             status,
             search,
+            includeDeleted,
             sortBy = 'checkIn',
             sortOrder = 'desc'
         } = req.query;
+        const withDeleted = includeDeleted === 'true';
 
         const query = {};
 
@@ -43,13 +61,15 @@ exports.getReservations = async (req, res) => {
 
         // Get reservations with population
         const reservations = await Reservation.find(query)
+            .withDeleted(withDeleted)
             .sort(sort)
             .limit(parseInt(limit))
             .skip(skip)
             .populate('createdBy', 'name email')
+            .populate('deletedBy', 'name')
             .lean();
 
-        const total = await Reservation.countDocuments(query);
+        const total = await Reservation.countDocuments(query).withDeleted(withDeleted);
 
         res.status(200).json({
             success: true,
@@ -114,6 +134,7 @@ exports.createReservation = async (req, res) => {
         console.log('Request body:', req.body);
 
         const {
+            guestId,
             guestName,
             email,
             phone,
@@ -121,9 +142,13 @@ exports.createReservation = async (req, res) => {
             checkOut,
             roomType,
             roomNumber,
+            ratePlan, // RoomType.ratePlans code; standard rate when omitted
             adults,
             children,
             paymentStatus,
+            paymentAmount, // deposit taken at booking, recorded in the payment ledger
+            paymentMethod,
+            paymentReference,
             specialRequests,
             extraCharges = [],
             discount = 0 // NEW: accept discount (default 0)
@@ -137,34 +162,70 @@ exports.createReservation = async (req, res) => {
             });
         }
 
-        // Check room availability
+        // Calculate nights
+        const checkInDate = new Date(checkIn);
+        const checkOutDate = new Date(checkOut);
+        if (isNaN(checkInDate.getTime()) || isNaN(checkOutDate.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid check-in or check-out date'
+            });
+        }
+        const nights = Math.ceil((checkOutDate - checkInDate) / (1000 * 60 * 60 * 24));
+
+        if (nights <= 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Check-out date must be after check-in date'
+            });
+        }
+
+        // The room's current housekeeping state does not matter for a booking;
+        // only other reservations for the same nights do
         const room = await Room.findOne({ roomNumber });
-        if (!room || room.status !== 'available') {
+        if (!room || !room.isActive) {
             return res.status(400).json({
                 success: false,
                 message: 'Selected room is not available'
             });
         }
 
+        // Rates and capacity are those of the room actually booked
+        if (room.roomType !== roomType) {
+            return res.status(400).json({
+                success: false,
+                message: `Room ${roomNumber} is a ${room.roomType}, not a ${roomType}`
+            });
+        }
+
         // Check for overlapping reservations
         const overlappingReservations = await Reservation.find({
             roomNumber,
             $or: [
                 {
-                    checkIn: { $lt: new Date(checkOut) },
-                    checkOut: { $gt: new Date(checkIn) }
+                    checkIn: { $lt: checkOutDate },
+                    checkOut: { $gt: checkInDate }
                 }
             ],
             reservationStatus: { $in: ['confirmed', 'checked_in'] }
         });
 
         if (overlappingReservations.length > 0) {
-            return res.status(400).json({
+            return res.status(409).json({
                 success: false,
                 message: 'Room is already booked for selected dates'
             });
         }
 
+        // Planned or ongoing maintenance during the stay
+        const outOfOrder = await MaintenanceTicket.findBlocking(roomNumber, checkIn, checkOut);
+        if (outOfOrder) {
+            return res.status(409).json({
+                success: false,
+                message: outOfOrder.blockingMessage()
+            });
+        }
+
         // Get room type for pricing
         const roomTypeInfo = await RoomType.findOne({ name: roomType });
         if (!roomTypeInfo) {
@@ -173,21 +234,27 @@ exports.createReservation = async (req, res) => {
                 message: 'Invalid room type'
             });
         }
+        if (ratePlan && !roomTypeInfo.getRatePlan(ratePlan)) {
+            return res.status(400).json({
+                success: false,
+                message: `Rate plan ${ratePlan} is not offered for ${roomType}`
+            });
+        }
 
-        // Calculate nights and amount
-        const checkInDate = new Date(checkIn);
-        const checkOutDate = new Date(checkOut);
-        const nights = Math.ceil((checkOutDate - checkInDate) / (1000 * 60 * 60 * 24));
-
-        if (nights <= 0) {
+        const occupancy = { adults: parseInt(adults), children: parseInt(children || 0) };
+        const occupancyError = roomTypeInfo.occupancyError(occupancy);
+        if (occupancyError) {
             return res.status(400).json({
                 success: false,
-                message: 'Check-out date must be after check-in date'
+                message: occupancyError
             });
         }
 
-        const roomRate = roomTypeInfo.basePrice;
-        const roomTotal = roomRate * nights;
+        // Each night at the rate in force for its date plus any extra-guest surcharge;
+        // stored so later rate changes do not apply
+        const nightlyRates = roomTypeInfo.priceNights(checkInDate, checkOutDate, ratePlan, occupancy);
+        const roomTotal = roundMoney(nightlyRates.reduce((sum, night) => sum + night.rate, 0));
+        const roomRate = roundMoney(roomTotal / nights);
 
         // Calculate services total
         let servicesTotal = 0;
@@ -203,12 +270,52 @@ exports.createReservation = async (req, res) => {
         const tax = 0; // No tax as per requirement
         const finalTotalAmount = subTotal - validDiscount + tax;
 
-        // Generate reservation number
-        const reservationCount = await Reservation.countDocuments();
-        const reservationNumber = `HR-${Date.now().toString().slice(-6)}-${reservationCount + 1}`;
+        // Payment status follows the ledger: a deposit makes it partial, 'paid' settles in full
+        const deposit = parseFloat(paymentAmount || 0);
+        if (isNaN(deposit) || deposit < 0 || deposit > finalTotalAmount) {
+            return res.status(400).json({
+                success: false,
+                message: `Payment amount must be between 0 and ${finalTotalAmount}`
+            });
+        }
+        if (paymentStatus && !['paid', 'pending', 'partial'].includes(paymentStatus)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid payment status'
+            });
+        }
+        if (paymentStatus === 'partial' && (deposit <= 0 || deposit >= finalTotalAmount)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A partial payment needs a paymentAmount less than the total'
+            });
+        }
+
+        // Claim the room nights; a concurrent booking of the same room loses here
+        const reservationId = new mongoose.Types.ObjectId();
+        const conflict = await RoomNightLock.hold(reservationId, roomNumber, checkInDate, checkOutDate);
+        if (conflict) {
+            return roomConflict(res, roomNumber, conflict);
+        }
+
+        // Link to a guest profile (explicit guestId, or matched/created from contact details)
+        const guest = await Guest.resolveForBooking({ guestId, name: guestName, email: email, phone: phone }, req.user._id)
+            .catch(async (error) => {
+                await RoomNightLock.release(reservationId);
+                throw error;
+            });
+        if (guestId && !guest) {
+            await RoomNightLock.release(reservationId);
+            return res.status(400).json({
+                success: false,
+                message: 'Guest not found'
+            });
+        }
 
         // Create reservation - email and phone are optional (will be saved as empty strings if not provided)
         const reservation = await Reservation.create({
+            _id: reservationId,
+            guest: guest ? guest._id : null,
             guestName,
             email: email || '',
             phone: phone || '',
@@ -216,29 +323,46 @@ exports.createReservation = async (req, res) => {
             checkOut: checkOutDate,
             roomType,
             roomNumber,
-            adults: parseInt(adults),
-            children: parseInt(children || 0),
+            adults: occupancy.adults,
+            children: occupancy.children,
             totalNights: nights,
             roomRate,
+            ratePlan: ratePlan ? roomTypeInfo.getRatePlan(ratePlan).code : null,
+            nightlyRates,
             extraCharges: extraCharges.map(charge => ({
+                type: 'service',
                 service: charge.service,
                 amount: charge.amount,
-                quantity: charge.quantity || 1
+                quantity: charge.quantity || 1,
+                postedBy: req.user._id
             })),
             subTotal,
             discount: validDiscount, // store discount
             tax,
             totalAmount: finalTotalAmount,
-            paymentStatus: paymentStatus || 'pending',
+            paymentStatus: 'pending',
             reservationStatus: 'confirmed',
             specialRequests: specialRequests || '',
-            reservationNumber,
             createdBy: req.user._id
+        }).catch(async (error) => {
+            await RoomNightLock.release(reservationId);
+            throw error;
         });
 
-        // Update room status
-        room.status = 'occupied';
-        await room.save();
+        const paymentDetails = { method: paymentMethod, reference: paymentReference, receivedBy: req.user._id };
+        if (deposit > 0) {
+            await Payment.recordForBooking('reservation', reservation, {
+                ...paymentDetails,
+                amount: deposit,
+                notes: 'Taken at booking'
+            });
+        }
+        if (paymentStatus === 'paid') {
+            await Payment.applyStatus('reservation', reservation, 'paid', paymentDetails);
+        }
+        if (reservation.isModified()) {
+            await reservation.save();
+        }
 
         console.log('✅ Reservation created:', reservation.reservationNumber);
 
@@ -281,6 +405,7 @@ exports.updateReservation = async (req, res) => {
             checkIn,
             checkOut,
             roomNumber,
+            ratePlan,
             adults,
             children,
             paymentStatus,
@@ -288,6 +413,13 @@ exports.updateReservation = async (req, res) => {
             discount // NEW: accept discount
         } = req.body;
 
+        if (paymentStatus && !['paid', 'pending', 'partial'].includes(paymentStatus)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid payment status'
+            });
+        }
+
         // Find reservation
         const reservation = await Reservation.findById(req.params.id);
         if (!reservation) {
@@ -297,56 +429,63 @@ exports.updateReservation = async (req, res) => {
             });
         }
 
+        const newCheckIn = checkIn ? new Date(checkIn) : reservation.checkIn;
+        const newCheckOut = checkOut ? new Date(checkOut) : reservation.checkOut;
+        if (isNaN(newCheckIn.getTime()) || isNaN(newCheckOut.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid check-in or check-out date'
+            });
+        }
+        if (newCheckOut <= newCheckIn) {
+            return res.status(400).json({
+                success: false,
+                message: 'Check-out date must be after check-in date'
+            });
+        }
+
         // Store old values
         const oldRoomNumber = reservation.roomNumber;
         const oldCheckIn = reservation.checkIn;
         const oldCheckOut = reservation.checkOut;
+        const oldRoomType = reservation.roomType;
+        const oldRatePlan = reservation.ratePlan;
+        const oldAdults = reservation.adults;
+        const oldChildren = reservation.children;
+        const bookedNights = reservation.getNightlyRates();
 
         // Update fields - email and phone can be updated to empty strings
         if (guestName) reservation.guestName = guestName;
         if (email !== undefined) reservation.email = email;
         if (phone !== undefined) reservation.phone = phone;
-        if (checkIn) reservation.checkIn = new Date(checkIn);
-        if (checkOut) reservation.checkOut = new Date(checkOut);
+        if (checkIn) reservation.checkIn = newCheckIn;
+        if (checkOut) reservation.checkOut = newCheckOut;
         if (roomNumber) reservation.roomNumber = roomNumber;
+        if (ratePlan !== undefined) reservation.ratePlan = ratePlan ? String(ratePlan).trim().toUpperCase() : null;
         if (adults) reservation.adults = parseInt(adults);
         if (children !== undefined) reservation.children = parseInt(children);
-        if (paymentStatus) reservation.paymentStatus = paymentStatus;
         if (specialRequests !== undefined) reservation.specialRequests = specialRequests;
         if (discount !== undefined) reservation.discount = Math.max(0, discount); // update discount
 
         // Handle room change or date change
-        if (roomNumber !== oldRoomNumber || checkIn || checkOut) {
-            // Free up old room
-            const oldRoom = await Room.findOne({ roomNumber: oldRoomNumber });
-            if (oldRoom && reservation.reservationStatus === 'confirmed') {
-                // Check if there are no other confirmed reservations for this room
-                const otherReservations = await Reservation.find({
-                    _id: { $ne: reservation._id },
-                    roomNumber: oldRoomNumber,
-                    $or: [
-                        {
-                            checkIn: { $lt: oldCheckOut },
-                            checkOut: { $gt: oldCheckIn }
-                        }
-                    ],
-                    reservationStatus: { $in: ['confirmed', 'checked_in'] }
+        const stayChanged = reservation.roomNumber !== oldRoomNumber || checkIn || checkOut;
+        if (stayChanged) {
+            if (reservation.reservationStatus === 'checked_in' && reservation.roomNumber !== oldRoomNumber) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot move a checked-in guest to another room by editing the reservation'
                 });
-
-                if (otherReservations.length === 0) {
-                    oldRoom.status = 'available';
-                    await oldRoom.save();
-                }
             }
 
             // Check new room availability
             const newRoom = await Room.findOne({ roomNumber: reservation.roomNumber });
-            if (!newRoom || newRoom.status !== 'available') {
+            if (!newRoom || !newRoom.isActive) {
                 return res.status(400).json({
                     success: false,
                     message: 'Selected room is not available'
                 });
             }
+            reservation.roomType = newRoom.roomType;
 
             // Check for overlapping reservations in new room
             const overlappingReservations = await Reservation.find({
@@ -362,55 +501,93 @@ exports.updateReservation = async (req, res) => {
             });
 
             if (overlappingReservations.length > 0) {
-                return res.status(400).json({
+                return res.status(409).json({
                     success: false,
                     message: 'Room is already booked for selected dates'
                 });
             }
 
-            // Update new room status
-            if (reservation.reservationStatus === 'confirmed') {
-                newRoom.status = 'occupied';
-                await newRoom.save();
+            const outOfOrder = await MaintenanceTicket.findBlocking(reservation.roomNumber, reservation.checkIn, reservation.checkOut);
+            if (outOfOrder) {
+                return res.status(409).json({
+                    success: false,
+                    message: outOfOrder.blockingMessage()
+                });
             }
         }
 
-        // Recalculate amount if dates changed or discount changed
-        if (checkIn || checkOut || roomNumber || discount !== undefined) {
-            const nights = Math.ceil((reservation.checkOut - reservation.checkIn) / (1000 * 60 * 60 * 24));
-            reservation.totalNights = nights;
-
-            // Recalculate room total (need room type base price? We can use existing roomRate or fetch latest from RoomType)
-            // For simplicity, we keep the existing roomRate. If roomType changed, we would need to update roomRate.
-            // But roomNumber might not change room type. We'll assume roomRate remains the same unless roomNumber changed.
-            // If roomNumber changed, we should fetch new room type price.
-            let roomRate = reservation.roomRate;
-            if (roomNumber && roomNumber !== oldRoomNumber) {
-                // Get room type from new room
-                const newRoom = await Room.findOne({ roomNumber }).populate('roomType');
-                if (newRoom) {
-                    // You might need to get the room type's base price from RoomType model
-                    const roomType = await RoomType.findOne({ name: newRoom.roomType });
-                    if (roomType) {
-                        roomRate = roomType.basePrice;
-                        reservation.roomRate = roomRate;
-                    }
-                }
+        // Reprice the nights. Nights already booked keep their price unless the
+        // room type or rate plan changed; new nights get today's rates, and a
+        // changed party gets today's extra-guest surcharge.
+        const roomTypeChanged = reservation.roomType !== oldRoomType;
+        const ratePlanChanged = reservation.ratePlan !== oldRatePlan;
+        const occupancyChanged = reservation.adults !== oldAdults || reservation.children !== oldChildren;
+        const repriced = checkIn || checkOut || roomTypeChanged || ratePlanChanged || occupancyChanged;
+        if (repriced) {
+            const roomTypeInfo = await RoomType.findOne({ name: reservation.roomType });
+            if (!roomTypeInfo) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid room type'
+                });
+            }
+            if (reservation.ratePlan && !roomTypeInfo.getRatePlan(reservation.ratePlan)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Rate plan ${reservation.ratePlan} is not offered for ${reservation.roomType}`
+                });
             }
+            const occupancyError = roomTypeInfo.occupancyError({ adults: reservation.adults, children: reservation.children || 0 });
+            if (occupancyError) {
+                return res.status(400).json({
+                    success: false,
+                    message: occupancyError
+                });
+            }
+            reservation.priceStay(roomTypeInfo, roomTypeChanged || ratePlanChanged ? [] : bookedNights, { occupancyChanged });
+        }
 
-            const roomTotal = roomRate * nights;
-            // Recalculate services total
-            const servicesTotal = reservation.extraCharges.reduce((sum, charge) => sum + (charge.amount * (charge.quantity || 1)), 0);
-            const subTotal = roomTotal + servicesTotal;
-            reservation.subTotal = subTotal;
+        // Room nights + active folio postings - discount
+        if (repriced || discount !== undefined) {
+            reservation.recalculateTotals();
+        }
 
-            // Ensure discount is not negative and not greater than subtotal
-            reservation.discount = Math.max(0, Math.min(reservation.discount, subTotal));
-            reservation.tax = 0; // no tax
-            reservation.totalAmount = subTotal - reservation.discount;
+        // Move the held nights to the new room/dates
+        const nightsMoved = stayChanged && RoomNightLock.ACTIVE_STATUSES.includes(reservation.reservationStatus);
+        if (nightsMoved) {
+            const conflict = await RoomNightLock.hold(reservation._id, reservation.roomNumber, reservation.checkIn, reservation.checkOut);
+            if (conflict) {
+                return roomConflict(res, reservation.roomNumber, conflict);
+            }
         }
 
-        await reservation.save();
+        // Until the reservation is saved, any failure gives back the nights moved above
+        const restoreNights = async () => {
+            if (nightsMoved) {
+                await RoomNightLock.hold(reservation._id, oldRoomNumber, oldCheckIn, oldCheckOut);
+            }
+        };
+
+        try {
+            // The total may have moved; status comes from the ledger
+            if (paymentStatus) {
+                const paymentError = await Payment.applyStatus('reservation', reservation, paymentStatus, { receivedBy: req.user._id });
+                if (paymentError) {
+                    await restoreNights();
+                    return res.status(400).json({
+                        success: false,
+                        message: paymentError
+                    });
+                }
+            } else {
+                await Payment.syncBooking('reservation', reservation);
+            }
+
+            await reservation.save();
+        } catch (error) {
+            await restoreNights();
+            throw error;
+        }
 
         // Get updated reservation with populated data
         const updatedReservation = await Reservation.findById(reservation._id)
@@ -467,61 +644,62 @@ exports.updateReservationStatus = async (req, res) => {
             });
         }
 
-        // Handle room status based on reservation status change
-        const room = await Room.findOne({ roomNumber: reservation.roomNumber });
+        // Reinstating a reservation needs its room to still be free for the dates
+        if (status === 'confirmed' && !RoomNightLock.ACTIVE_STATUSES.includes(reservation.reservationStatus)) {
+            const overlappingReservations = await Reservation.find({
+                _id: { $ne: reservation._id },
+                roomNumber: reservation.roomNumber,
+                $or: [
+                    {
+                        checkIn: { $lt: reservation.checkOut },
+                        checkOut: { $gt: reservation.checkIn }
+                    }
+                ],
+                reservationStatus: { $in: ['confirmed', 'checked_in'] }
+            });
 
-        if (status === 'cancelled' && reservation.reservationStatus !== 'cancelled') {
-            // Free up room if cancelled
-            if (room) {
-                // Check if there are no other confirmed reservations for this room during this period
-                const otherReservations = await Reservation.find({
-                    _id: { $ne: reservation._id },
-                    roomNumber: reservation.roomNumber,
-                    $or: [
-                        {
-                            checkIn: { $lt: reservation.checkOut },
-                            checkOut: { $gt: reservation.checkIn }
-                        }
-                    ],
-                    reservationStatus: { $in: ['confirmed', 'checked_in'] }
+            if (overlappingReservations.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Room is no longer available for selected dates'
                 });
-
-                if (otherReservations.length === 0) {
-                    room.status = 'available';
-                    await room.save();
-                }
             }
-        } else if (status === 'confirmed' && reservation.reservationStatus === 'cancelled') {
-            // Re-occupy room if changing from cancelled to confirmed
-            if (room && room.status === 'available') {
-                // Check if room is still available for the dates
-                const overlappingReservations = await Reservation.find({
-                    _id: { $ne: reservation._id },
-                    roomNumber: reservation.roomNumber,
-                    $or: [
-                        {
-                            checkIn: { $lt: reservation.checkOut },
-                            checkOut: { $gt: reservation.checkIn }
-                        }
-                    ],
-                    reservationStatus: { $in: ['confirmed', 'checked_in'] }
+
+            const outOfOrder = await MaintenanceTicket.findBlocking(reservation.roomNumber, reservation.checkIn, reservation.checkOut);
+            if (outOfOrder) {
+                return res.status(409).json({
+                    success: false,
+                    message: outOfOrder.blockingMessage()
                 });
+            }
+        }
 
-                if (overlappingReservations.length === 0) {
-                    room.status = 'occupied';
-                    await room.save();
-                } else {
-                    return res.status(400).json({
-                        success: false,
-                        message: 'Room is no longer available for selected dates'
-                    });
+        // Cancelled and no-show reservations give up their nights; reinstated ones claim them again
+        if (RoomNightLock.ACTIVE_STATUSES.includes(status)) {
+            if (!RoomNightLock.ACTIVE_STATUSES.includes(reservation.reservationStatus)) {
+                const conflict = await RoomNightLock.hold(reservation._id, reservation.roomNumber, reservation.checkIn, reservation.checkOut);
+                if (conflict) {
+                    return roomConflict(res, reservation.roomNumber, conflict);
                 }
             }
+        } else {
+            await RoomNightLock.release(reservation._id);
         }
 
+        const wasCheckedIn = reservation.reservationStatus === 'checked_in';
         reservation.reservationStatus = status;
         await reservation.save();
 
+        // The guest was in the room, so it needs cleaning before the next stay
+        if (wasCheckedIn && status !== 'checked_in') {
+            const room = await Room.findOne({ roomNumber: reservation.roomNumber });
+            if (room && room.status === 'occupied') {
+                room.status = 'cleaning';
+                await room.save();
+                await HousekeepingTask.requestCleaning(room, { type: 'checkout', reservation: reservation._id, userId: req.user._id });
+            }
+        }
+
         const updatedReservation = await Reservation.findById(reservation._id)
             .populate('createdBy', 'name email')
             .lean();
@@ -552,7 +730,7 @@ exports.updateReservationStatus = async (req, res) => {
 // @access  Private/Admin, Hotel Staff
 exports.updatePaymentStatus = async (req, res) => {
     try {
-        const { paymentStatus } = req.body;
+        const { paymentStatus, paymentMethod, paymentReference } = req.body;
 
         if (!paymentStatus || !['paid', 'pending', 'partial'].includes(paymentStatus)) {
             return res.status(400).json({
@@ -569,7 +747,18 @@ exports.updatePaymentStatus = async (req, res) => {
             });
         }
 
-        reservation.paymentStatus = paymentStatus;
+        // 'paid' records the outstanding balance in the ledger; other statuses must match it
+        const paymentError = await Payment.applyStatus('reservation', reservation, paymentStatus, {
+            method: paymentMethod,
+            reference: paymentReference,
+            receivedBy: req.user._id
+        });
+        if (paymentError) {
+            return res.status(400).json({
+                success: false,
+                message: paymentError
+            });
+        }
         await reservation.save();
 
         res.status(200).json({
@@ -613,11 +802,51 @@ exports.checkIn = async (req, res) => {
             });
         }
 
+        // The room must be physically ready; 'occupied' only counts while another guest is checked in
+        // (rooms used to be marked occupied when booked)
+        const room = await Room.findOne({ roomNumber: reservation.roomNumber });
+        if (!room) {
+            return res.status(400).json({
+                success: false,
+                message: `Room ${reservation.roomNumber} no longer exists`
+            });
+        }
+        if (room.status === 'occupied') {
+            const currentStay = await Reservation.findOne({
+                _id: { $ne: reservation._id },
+                roomNumber: room.roomNumber,
+                reservationStatus: 'checked_in'
+            }).select('reservationNumber guestName');
+
+            if (currentStay) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Room ${room.roomNumber} is still occupied by ${currentStay.guestName} (${currentStay.reservationNumber})`
+                });
+            }
+        } else if (room.status !== 'available') {
+            return res.status(400).json({
+                success: false,
+                message: `Room ${room.roomNumber} is under ${room.status} and not ready for check-in`
+            });
+        }
+
+        const outOfOrder = await MaintenanceTicket.findBlocking(room.roomNumber, new Date(), reservation.checkOut);
+        if (outOfOrder) {
+            return res.status(400).json({
+                success: false,
+                message: outOfOrder.blockingMessage()
+            });
+        }
+
         // Update reservation status
         reservation.reservationStatus = 'checked_in';
         reservation.actualCheckIn = new Date();
         await reservation.save();
 
+        room.status = 'occupied';
+        await room.save();
+
         res.status(200).json({
             success: true,
             message: 'Guest checked in successfully',
@@ -639,11 +868,14 @@ exports.checkIn = async (req, res) => {
     }
 };
 
-// @desc    Check-out guest
+// @desc    Check-out guest (optional settlement payment in body: paymentAmount)
 // @route   PUT /api/hotel/reservations/:id/checkout
 // @access  Private/Admin, Hotel Staff
 exports.checkOut = async (req, res) => {
     try {
+        const { paymentMethod, paymentReference } = req.body || {};
+        const paymentAmount = parseFloat((req.body && req.body.paymentAmount) || 0);
+
         const reservation = await Reservation.findById(req.params.id);
         if (!reservation) {
             return res.status(404).json({
@@ -659,11 +891,36 @@ exports.checkOut = async (req, res) => {
             });
         }
 
-        // Check if payment is pending
-        if (reservation.paymentStatus === 'pending' || reservation.paymentStatus === 'partial') {
+        if (isNaN(paymentAmount) || paymentAmount < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Payment amount must be a positive number'
+            });
+        }
+
+        // Settle against the folio: everything posted during the stay must be paid
+        reservation.recalculateTotals();
+        const totals = await Payment.syncBooking('reservation', reservation);
+        const outstanding = Math.round((reservation.totalAmount - totals.net) * 100) / 100;
+        const balance = Math.round((outstanding - paymentAmount) * 100) / 100;
+
+        if (balance > 0) {
             return res.status(400).json({
                 success: false,
-                message: 'Cannot check out with pending payment. Please update payment status to "paid" first.'
+                message: `Cannot check out with an outstanding balance of ${balance.toFixed(2)}. Please settle the folio first.`,
+                balance,
+                folio: reservation.getFolio()
+            });
+        }
+
+        // Anything handed over beyond the balance is change, not a payment
+        if (paymentAmount > 0 && outstanding > 0) {
+            await Payment.recordForBooking('reservation', reservation, {
+                amount: Math.min(paymentAmount, outstanding),
+                method: paymentMethod,
+                reference: paymentReference,
+                notes: 'Settled at checkout',
+                receivedBy: req.user._id
             });
         }
 
@@ -672,17 +929,25 @@ exports.checkOut = async (req, res) => {
         reservation.actualCheckOut = new Date();
         await reservation.save();
 
+        // Nights left after an early checkout can be booked again
+        await RoomNightLock.release(reservation._id);
+
+        // Final invoice for the stay
+        const { invoice } = await Invoice.issueForBooking('reservation', reservation, req.user._id);
+
         // Free up the room
         const room = await Room.findOne({ roomNumber: reservation.roomNumber });
         if (room) {
             room.status = 'cleaning'; // Room needs cleaning before being available again
             await room.save();
+            await HousekeepingTask.requestCleaning(room, { type: 'checkout', reservation: reservation._id, userId: req.user._id });
         }
 
         res.status(200).json({
             success: true,
             message: 'Guest checked out successfully',
-            reservation
+            reservation,
+            invoice
         });
 
     } catch (error) {
@@ -700,7 +965,7 @@ exports.checkOut = async (req, res) => {
     }
 };
 
-// @desc    Delete reservation
+// @desc    Delete reservation (soft delete, optional reason in body or query)
 // @route   DELETE /api/hotel/reservations/:id
 // @access  Private/Admin
 exports.deleteReservation = async (req, res) => {
@@ -714,39 +979,115 @@ exports.deleteReservation = async (req, res) => {
             });
         }
 
-        // Free up room if reservation was active
-        if (reservation.reservationStatus === 'confirmed' || reservation.reservationStatus === 'checked_in') {
+        // A guest in the room has left it to be cleaned
+        if (reservation.reservationStatus === 'checked_in') {
             const room = await Room.findOne({ roomNumber: reservation.roomNumber });
-            if (room) {
-                // Check if there are no other reservations for this room during this period
-                const otherReservations = await Reservation.find({
-                    _id: { $ne: reservation._id },
-                    roomNumber: reservation.roomNumber,
-                    $or: [
-                        {
-                            checkIn: { $lt: reservation.checkOut },
-                            checkOut: { $gt: reservation.checkIn }
-                        }
-                    ],
-                    reservationStatus: { $in: ['confirmed', 'checked_in'] }
+            if (room && room.status === 'occupied') {
+                room.status = 'cleaning';
+                await room.save();
+                await HousekeepingTask.requestCleaning(room, { type: 'checkout', reservation: reservation._id, userId: req.user._id });
+            }
+        }
+
+        const reason = (req.body && req.body.reason) || req.query.reason || '';
+        await reservation.softDelete(req.user._id, reason);
+        await RoomNightLock.release(reservation._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Reservation deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete reservation error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Reservation not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Restore soft-deleted reservation
+// @route   POST /api/hotel/reservations/:id/restore
+// @access  Private/Admin
+exports.restoreReservation = async (req, res) => {
+    try {
+        const reservation = await Reservation.findById(req.params.id).withDeleted();
+
+        if (!reservation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Reservation not found'
+            });
+        }
+
+        if (!reservation.deletedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reservation is not deleted'
+            });
+        }
+
+        // Room may have been booked again while the reservation was deleted
+        if (reservation.reservationStatus === 'confirmed' || reservation.reservationStatus === 'checked_in') {
+            const overlappingReservations = await Reservation.find({
+                _id: { $ne: reservation._id },
+                roomNumber: reservation.roomNumber,
+                checkIn: { $lt: reservation.checkOut },
+                checkOut: { $gt: reservation.checkIn },
+                reservationStatus: { $in: ['confirmed', 'checked_in'] }
+            });
+
+            if (overlappingReservations.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: `Room ${reservation.roomNumber} has been booked for these dates since the reservation was deleted`
+                });
+            }
+
+            const outOfOrder = await MaintenanceTicket.findBlocking(reservation.roomNumber, reservation.checkIn, reservation.checkOut);
+            if (outOfOrder) {
+                return res.status(409).json({
+                    success: false,
+                    message: outOfOrder.blockingMessage()
                 });
+            }
 
-                if (otherReservations.length === 0) {
-                    room.status = 'available';
+            const conflict = await RoomNightLock.hold(reservation._id, reservation.roomNumber, reservation.checkIn, reservation.checkOut);
+            if (conflict) {
+                return roomConflict(res, reservation.roomNumber, conflict);
+            }
+
+            // Only a stay in progress puts the guest back in the room
+            if (reservation.reservationStatus === 'checked_in') {
+                const room = await Room.findOne({ roomNumber: reservation.roomNumber });
+                if (room) {
+                    room.status = 'occupied';
                     await room.save();
                 }
             }
         }
 
-        await reservation.deleteOne();
+        await reservation.restore();
+
+        const restoredReservation = await Reservation.findById(reservation._id)
+            .populate('createdBy', 'name email')
+            .lean();
 
         res.status(200).json({
             success: true,
-            message: 'Reservation deleted successfully'
+            message: 'Reservation restored successfully',
+            reservation: restoredReservation
         });
 
     } catch (error) {
-        console.error('Delete reservation error:', error);
+        console.error('Restore reservation error:', error);
         if (error.name === 'CastError') {
             return res.status(404).json({
                 success: false,
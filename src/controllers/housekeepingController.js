@@ -0,0 +1,536 @@
+// controllers/housekeepingController.js
+const HousekeepingTask = require('../models/HousekeepingTask');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { hasPermission } = require('../config/permissions');
+
+const TASK_POPULATE = [
+    { path: 'assignedTo', select: 'name username' },
+    { path: 'reservation', select: 'reservationNumber guestName' }
+];
+
+const isManager = (req) => hasPermission(req.permissions, 'hotel.housekeeping.manage');
+
+// Housekeepers work on tasks assigned to them (or unassigned ones); managers on any
+const canWorkOn = (req, task) =>
+    isManager(req) || !task.assignedTo || task.assignedTo.equals(req.user._id);
+
+// @desc    Rooms grouped by floor with their open cleaning task. Routine
+//          cleanings are opened by the scheduler (config/scheduler.js).
+// @route   GET /api/hotel/housekeeping/board
+// @access  Private (hotel.housekeeping.view)
+exports.getBoard = async (req, res) => {
+    try {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        const rooms = await Room.find({ isActive: true })
+            .sort({ floor: 1, roomNumber: 1 })
+            .select('roomNumber roomType floor status lastCleaned nextCleaning')
+            .lean();
+        const tasks = await HousekeepingTask.find({ open: true })
+            .populate(TASK_POPULATE)
+            .lean();
+        const inspectedToday = await HousekeepingTask.countDocuments({
+            status: 'inspected',
+            inspectedAt: { $gte: today }
+        });
+
+        const taskByRoom = new Map(tasks.map(task => [task.room.toString(), task]));
+        const floors = new Map();
+        for (const room of rooms) {
+            if (!floors.has(room.floor)) {
+                floors.set(room.floor, { floor: room.floor, rooms: [] });
+            }
+            floors.get(room.floor).rooms.push({
+                ...room,
+                task: taskByRoom.get(room._id.toString()) || null
+            });
+        }
+
+        const summary = { pending: 0, in_progress: 0, cleaned: 0, inspectedToday, unassigned: 0 };
+        for (const task of tasks) {
+            summary[task.status]++;
+            if (!task.assignedTo) summary.unassigned++;
+        }
+
+        res.status(200).json({
+            success: true,
+            summary,
+            floors: [...floors.values()]
+        });
+
+    } catch (error) {
+        console.error('Housekeeping board error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    List housekeeping tasks (status, floor, assignedTo=me|<userId>, open=true)
+// @route   GET /api/hotel/housekeeping/tasks
+// @access  Private (hotel.housekeeping.view)
+exports.getTasks = async (req, res) => {
+    try {
+        const { page = 1, limit = 50, status, floor, assignedTo, open } = req.query;
+
+        const query = {};
+        if (status && status !== 'all') {
+            query.status = status;
+        }
+        if (open === 'true') {
+            query.open = true;
+        }
+        if (floor) {
+            query.floor = parseInt(floor);
+        }
+        if (assignedTo) {
+            query.assignedTo = assignedTo === 'me' ? req.user._id : assignedTo;
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const tasks = await HousekeepingTask.find(query)
+            .sort({ open: -1, createdAt: 1 })
+            .limit(parseInt(limit))
+            .skip(skip)
+            .populate(TASK_POPULATE)
+            .lean();
+
+        const total = await HousekeepingTask.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            count: tasks.length,
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+            currentPage: parseInt(page),
+            tasks
+        });
+
+    } catch (error) {
+        console.error('Get housekeeping tasks error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Request a cleaning for a room (joins the room's open task if it has one)
+// @route   POST /api/hotel/housekeeping/tasks
+// @access  Private (hotel.housekeeping.manage)
+exports.createTask = async (req, res) => {
+    try {
+        const { roomNumber, priority, notes } = req.body;
+
+        if (!roomNumber) {
+            return res.status(400).json({
+                success: false,
+                message: 'Room number is required'
+            });
+        }
+
+        const room = await Room.findOne({ roomNumber });
+        if (!room) {
+            return res.status(404).json({
+                success: false,
+                message: 'Room not found'
+            });
+        }
+
+        const task = await HousekeepingTask.requestCleaning(room, {
+            type: 'request',
+            priority,
+            notes,
+            userId: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Cleaning task created',
+            task
+        });
+
+    } catch (error) {
+        console.error('Create housekeeping task error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Assign a task to a housekeeper (userId: null to unassign)
+// @route   PUT /api/hotel/housekeeping/tasks/:id/assign
+// @access  Private (hotel.housekeeping.manage)
+exports.assignTask = async (req, res) => {
+    try {
+        const { userId } = req.body;
+
+        const task = await HousekeepingTask.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+
+        if (!task.open) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot assign a ${task.status} task`
+            });
+        }
+
+        if (userId) {
+            const user = await User.findById(userId);
+            if (!user || !user.isActive) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'User not found or inactive'
+                });
+            }
+
+            const permissions = await Role.getPermissionsFor(user.getRoles());
+            if (!hasPermission(permissions, 'hotel.housekeeping.work')) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${user.name} does not have a housekeeping role`
+                });
+            }
+        }
+
+        task.assignedTo = userId || null;
+        task.assignedBy = req.user._id;
+        task.assignedAt = new Date();
+        await task.save();
+        await task.populate(TASK_POPULATE);
+
+        res.status(200).json({
+            success: true,
+            message: userId ? 'Task assigned' : 'Task unassigned',
+            task
+        });
+
+    } catch (error) {
+        console.error('Assign housekeeping task error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Start cleaning (an unassigned task is taken by whoever starts it)
+// @route   PUT /api/hotel/housekeeping/tasks/:id/start
+// @access  Private (hotel.housekeeping.work or manage)
+exports.startTask = async (req, res) => {
+    try {
+        const task = await HousekeepingTask.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+
+        if (task.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only pending tasks can be started'
+            });
+        }
+
+        if (!canWorkOn(req, task)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This task is assigned to someone else'
+            });
+        }
+
+        if (!task.assignedTo) {
+            task.assignedTo = req.user._id;
+            task.assignedAt = new Date();
+        }
+        task.status = 'in_progress';
+        task.startedAt = new Date();
+        task.startedBy = req.user._id;
+        await task.save();
+
+        // A vacant room being cleaned cannot be handed out meanwhile
+        const room = await Room.findById(task.room);
+        if (room && room.status === 'available') {
+            room.status = 'cleaning';
+            await room.save();
+        }
+
+        await task.populate(TASK_POPULATE);
+
+        res.status(200).json({
+            success: true,
+            message: 'Cleaning started',
+            task
+        });
+
+    } catch (error) {
+        console.error('Start housekeeping task error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Finish cleaning; the room waits for inspection
+// @route   PUT /api/hotel/housekeeping/tasks/:id/finish
+// @access  Private (hotel.housekeeping.work or manage)
+exports.finishTask = async (req, res) => {
+    try {
+        const { notes } = req.body || {};
+
+        const task = await HousekeepingTask.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+
+        if (task.status !== 'in_progress') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only tasks in progress can be finished'
+            });
+        }
+
+        if (!canWorkOn(req, task)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This task is assigned to someone else'
+            });
+        }
+
+        task.status = 'cleaned';
+        task.finishedAt = new Date();
+        task.finishedBy = req.user._id;
+        if (notes) {
+            task.notes = task.notes ? `${task.notes}\n${notes}` : notes;
+        }
+        await task.save();
+        await task.populate(TASK_POPULATE);
+
+        res.status(200).json({
+            success: true,
+            message: 'Cleaning finished, awaiting inspection',
+            task
+        });
+
+    } catch (error) {
+        console.error('Finish housekeeping task error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Inspect a cleaned room. Passing returns it to 'available';
+//          failing (passed: false) sends the task back to pending.
+// @route   PUT /api/hotel/housekeeping/tasks/:id/inspect
+// @access  Private (hotel.housekeeping.manage)
+exports.inspectTask = async (req, res) => {
+    try {
+        const { passed: passedInput, notes = '' } = req.body || {};
+
+        // Form posts send strings; anything but a clear true/false is rejected
+        if (passedInput !== undefined && ![true, false, 'true', 'false'].includes(passedInput)) {
+            return res.status(400).json({
+                success: false,
+                message: 'passed must be true or false'
+            });
+        }
+        const passed = passedInput === undefined || passedInput === true || passedInput === 'true';
+
+        const task = await HousekeepingTask.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+
+        if (task.status !== 'cleaned') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only cleaned rooms can be inspected'
+            });
+        }
+
+        task.inspectedAt = new Date();
+        task.inspectedBy = req.user._id;
+        task.inspectionNotes = notes;
+
+        let room = null;
+        if (passed) {
+            task.status = 'inspected';
+            await task.save();
+            room = await task.releaseRoom();
+        } else {
+            if (!notes) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Please note what needs to be redone'
+                });
+            }
+            task.status = 'pending';
+            task.failedInspections += 1;
+            await task.save();
+        }
+
+        await task.populate(TASK_POPULATE);
+
+        res.status(200).json({
+            success: true,
+            message: passed ? `Room ${task.roomNumber} inspected and ready` : `Room ${task.roomNumber} sent back for cleaning`,
+            task,
+            room
+        });
+
+    } catch (error) {
+        console.error('Inspect housekeeping task error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Cancel an open task (e.g. room taken out for maintenance). A room
+//          put in 'cleaning' by a routine cleaning goes back to 'available';
+//          after a checkout or maintenance it stays dirty until cleaned.
+// @route   PUT /api/hotel/housekeeping/tasks/:id/cancel
+// @access  Private (hotel.housekeeping.manage)
+exports.cancelTask = async (req, res) => {
+    try {
+        const task = await HousekeepingTask.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+
+        if (!task.open) {
+            return res.status(400).json({
+                success: false,
+                message: `Task is already ${task.status}`
+            });
+        }
+
+        task.status = 'cancelled';
+        task.cancelledAt = new Date();
+        if (req.body && req.body.reason) {
+            task.notes = task.notes ? `${task.notes}\n${req.body.reason}` : req.body.reason;
+        }
+        await task.save();
+
+        // A routine cleaning only started on a clean, vacant room, so nothing
+        // else is holding the room back once its only open task is gone
+        const room = await Room.findById(task.room);
+        if (room && room.status === 'cleaning' && task.type === 'scheduled' &&
+            !(await HousekeepingTask.exists({ room: room._id, open: true }))) {
+            room.status = 'available';
+            await room.save();
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Task cancelled',
+            task,
+            room
+        });
+
+    } catch (error) {
+        console.error('Cancel housekeeping task error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
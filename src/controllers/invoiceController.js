@@ -0,0 +1,295 @@
+// controllers/invoiceController.js
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Setting = require('../models/Setting');
+const { roundMoney } = require('../utils/payments');
+const { renderInvoicePdf, renderThermalReceipt } = require('../utils/invoicePdf');
+const { hasPermission } = require('../config/permissions');
+
+// Department -> permission needed to see its invoices
+const VIEW_PERMISSIONS = {
+    hotel: 'hotel.reservations.view',
+    pool: 'pool.bookings.view',
+    conference: 'conference.bookings.view',
+    restaurant: 'restaurant.sales.view'
+};
+
+const BOOKING_LABELS = {
+    reservation: 'Reservation',
+    pool: 'Booking',
+    conference: 'Booking',
+    sale: 'Sale'
+};
+
+const visibleDepartments = (permissions) =>
+    Object.keys(VIEW_PERMISSIONS).filter(department => hasPermission(permissions, VIEW_PERMISSIONS[department]));
+
+// @desc    List invoices of the departments the user can see
+// @route   GET /api/invoices
+// @access  Private (any department view permission)
+exports.getInvoices = async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 20,
+            department,
+            status,
+            search,
+            startDate,
+            endDate
+        } = req.query;
+
+        const departments = visibleDepartments(req.permissions);
+        const query = { department: { $in: departments } };
+
+        if (department && department !== 'all') {
+            if (!departments.includes(department)) {
+                return res.status(403).json({
+                    success: false,
+                    message: `You do not have access to ${department} invoices`
+                });
+            }
+            query.department = department;
+        }
+
+        if (status && status !== 'all') {
+            query.status = status;
+        }
+
+        if (search) {
+            query.$or = [
+                { invoiceNumber: { $regex: search, $options: 'i' } },
+                { bookingNumber: { $regex: search, $options: 'i' } },
+                { 'billTo.name': { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        // Date range filter
+        if (startDate || endDate) {
+            if ((startDate && isNaN(new Date(startDate).getTime())) || (endDate && isNaN(new Date(endDate).getTime()))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid date format. Please use YYYY-MM-DD format'
+                });
+            }
+
+            query.issuedAt = {};
+            if (startDate) {
+                const start = new Date(startDate);
+                start.setHours(0, 0, 0, 0);
+                query.issuedAt.$gte = start;
+            }
+            if (endDate) {
+                const end = new Date(endDate);
+                end.setHours(23, 59, 59, 999);
+                query.issuedAt.$lte = end;
+            }
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const invoices = await Invoice.find(query)
+            .select('-lines')
+            .sort({ issuedAt: -1 })
+            .limit(parseInt(limit))
+            .skip(skip)
+            .populate('issuedBy', 'name')
+            .lean();
+
+        const total = await Invoice.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            count: invoices.length,
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+            currentPage: parseInt(page),
+            invoices
+        });
+
+    } catch (error) {
+        console.error('Get invoices error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get invoice with line items and payments, by ID or invoice number
+// @route   GET /api/invoices/:id
+// @access  Private (view permission of the invoice's department)
+exports.getInvoice = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const query = mongoose.Types.ObjectId.isValid(id) ? { _id: id } : { invoiceNumber: id.toUpperCase() };
+
+        const invoice = await Invoice.findOne(query)
+            .populate('issuedBy', 'name')
+            .populate('replacedBy', 'invoiceNumber')
+            .lean();
+
+        if (!invoice || !visibleDepartments(req.permissions).includes(invoice.department)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invoice not found'
+            });
+        }
+
+        // Payments received so far, including any after the invoice was issued
+        const payments = await Payment.find({ bookingType: invoice.bookingType, booking: invoice.booking })
+            .sort({ receivedAt: 1 })
+            .select('amount method reference receivedAt')
+            .lean();
+        const paid = Math.round(payments.reduce((sum, payment) => sum + payment.amount, 0) * 100) / 100;
+
+        res.status(200).json({
+            success: true,
+            invoice: {
+                ...invoice,
+                payments,
+                currentBalance: Math.round((invoice.total - paid) * 100) / 100
+            }
+        });
+
+    } catch (error) {
+        console.error('Get invoice error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// Issue the booking's invoice (or get the current one) and keep the
+// conference booking's invoice number in step
+const issueBookingInvoice = async (bookingType, booking, userId) => {
+    const result = await Invoice.issueForBooking(bookingType, booking, userId);
+
+    if (bookingType === 'conference' && booking.invoiceNumber !== result.invoice.invoiceNumber) {
+        booking.invoiceNumber = result.invoice.invoiceNumber;
+        await booking.save();
+    }
+
+    if (result.created) {
+        console.log(`🧾 Invoice ${result.invoice.invoiceNumber} issued for ${result.invoice.bookingNumber}`);
+    }
+
+    return result;
+};
+
+// @desc    Issue an invoice for a booking (returns the current one if nothing changed)
+// @route   POST /api/hotel/reservations/:id/invoice
+// @route   POST /api/pool/bookings/:id/invoice
+// @route   POST /api/conference/bookings/:id/invoice
+// @route   POST /api/restaurant/sales/:id/invoice
+// @access  Private (department payments permission)
+exports.issueInvoice = (bookingType) => async (req, res) => {
+    const label = BOOKING_LABELS[bookingType];
+    try {
+        const booking = await mongoose.model(Payment.BOOKING_MODELS[bookingType]).findById(req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: `${label} not found`
+            });
+        }
+
+        const { invoice, created } = await issueBookingInvoice(bookingType, booking, req.user._id);
+
+        res.status(created ? 201 : 200).json({
+            success: true,
+            message: created ? 'Invoice issued successfully' : 'Invoice is up to date',
+            invoice
+        });
+
+    } catch (error) {
+        console.error('Issue invoice error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: `${label} not found`
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Download the booking's current invoice or receipt as a PDF. Invoices
+//          are only issued through the POST route, so a booking without an
+//          up-to-date invoice gets 404/409.
+// @route   GET /api/hotel/reservations/:id/invoice.pdf
+// @route   GET /api/pool/bookings/:id/receipt.pdf
+// @route   GET /api/conference/bookings/:id/invoice.pdf
+// @route   GET /api/restaurant/sales/:id/receipt.pdf (?layout=thermal for 80mm printers)
+// @access  Private (department view permission)
+exports.downloadInvoicePdf = (bookingType, { title = 'INVOICE' } = {}) => async (req, res) => {
+    const label = BOOKING_LABELS[bookingType];
+    try {
+        const booking = await mongoose.model(Payment.BOOKING_MODELS[bookingType]).findById(req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: `${label} not found`
+            });
+        }
+
+        const { invoice, upToDate } = await Invoice.currentForBooking(bookingType, booking);
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                message: `No invoice has been issued for this ${label.toLowerCase()}`
+            });
+        }
+        if (!upToDate) {
+            return res.status(409).json({
+                success: false,
+                message: `Invoice ${invoice.invoiceNumber} is out of date; issue a new invoice first`
+            });
+        }
+
+        const settings = await Setting.getSettings();
+
+        // Show what has been paid up to now, not just up to the issue date
+        const payments = await Payment.find({ bookingType, booking: booking._id })
+            .sort({ receivedAt: 1 })
+            .select('amount method reference receivedAt')
+            .lean();
+        const paid = roundMoney(payments.reduce((sum, payment) => sum + payment.amount, 0));
+        const document = {
+            ...invoice.toObject(),
+            amountPaid: paid,
+            balanceDue: roundMoney(invoice.total - paid)
+        };
+
+        const pdf = req.query.layout === 'thermal'
+            ? renderThermalReceipt(document, settings, { payments })
+            : renderInvoicePdf(document, settings, { title, payments });
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Length': pdf.length,
+            'Content-Disposition': `inline; filename="${invoice.invoiceNumber}.pdf"`
+        });
+        res.status(200).send(pdf);
+
+    } catch (error) {
+        console.error('Invoice PDF error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: `${label} not found`
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
@@ -0,0 +1,534 @@
+// controllers/maintenanceController.js
+const MaintenanceTicket = require('../models/MaintenanceTicket');
+const Reservation = require('../models/Reservation');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const { hasPermission } = require('../config/permissions');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const TICKET_POPULATE = [
+    { path: 'reportedBy', select: 'name' },
+    { path: 'assignedTo', select: 'name' },
+    { path: 'resolvedBy', select: 'name' }
+];
+
+// Fields only maintenance managers may set
+const MANAGER_FIELDS = ['assignedTo', 'blocksRoom', 'outOfOrderFrom', 'outOfOrderUntil'];
+
+// Confirmed or in-house reservations falling inside a ticket's out-of-order period
+const affectedReservations = (ticket) => {
+    if (!ticket.blocksRoom || !MaintenanceTicket.ACTIVE_STATUSES.includes(ticket.status)) {
+        return [];
+    }
+    return Reservation.find({
+        roomNumber: ticket.roomNumber,
+        reservationStatus: { $in: ['confirmed', 'checked_in'] },
+        checkOut: { $gt: ticket.outOfOrderFrom },
+        ...(ticket.outOfOrderUntil ? { checkIn: { $lt: ticket.outOfOrderUntil } } : {})
+    })
+        .select('reservationNumber guestName checkIn checkOut reservationStatus')
+        .sort({ checkIn: 1 })
+        .lean();
+};
+
+const checkAssignee = async (userId) => {
+    if (!userId) return null;
+    const user = await User.findById(userId);
+    return user && user.isActive ? null : 'Assigned user not found or inactive';
+};
+
+// @desc    List maintenance tickets (status=active|open|..., roomNumber, priority, assignedTo=me|<userId>)
+// @route   GET /api/hotel/maintenance
+// @access  Private (hotel.maintenance.view)
+exports.getTickets = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status, roomNumber, priority, assignedTo } = req.query;
+
+        const query = {};
+        if (status === 'active') {
+            query.status = { $in: MaintenanceTicket.ACTIVE_STATUSES };
+        } else if (status && status !== 'all') {
+            query.status = status;
+        }
+        if (roomNumber) {
+            query.roomNumber = roomNumber;
+        }
+        if (priority) {
+            query.priority = priority;
+        }
+        if (assignedTo) {
+            query.assignedTo = assignedTo === 'me' ? req.user._id : assignedTo;
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const tickets = await MaintenanceTicket.find(query)
+            .sort({ createdAt: -1 })
+            .limit(parseInt(limit))
+            .skip(skip)
+            .populate(TICKET_POPULATE)
+            .lean();
+
+        const total = await MaintenanceTicket.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            count: tickets.length,
+            total,
+            totalPages: Math.ceil(total / parseInt(limit)),
+            currentPage: parseInt(page),
+            tickets
+        });
+
+    } catch (error) {
+        console.error('Get maintenance tickets error:', error);
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid filter'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get maintenance ticket with the reservations it affects
+// @route   GET /api/hotel/maintenance/:id
+// @access  Private (hotel.maintenance.view)
+exports.getTicket = async (req, res) => {
+    try {
+        const ticket = await MaintenanceTicket.findById(req.params.id).populate(TICKET_POPULATE);
+
+        if (!ticket) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ticket not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            ticket,
+            affectedReservations: await affectedReservations(ticket)
+        });
+
+    } catch (error) {
+        console.error('Get maintenance ticket error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Ticket not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Report a maintenance issue. Managers can also assign it and take
+//          the room out of order (blocksRoom, outOfOrderFrom/Until).
+// @route   POST /api/hotel/maintenance
+// @access  Private (hotel.maintenance.report or manage)
+exports.createTicket = async (req, res) => {
+    try {
+        const {
+            roomNumber,
+            issue,
+            description,
+            category,
+            priority,
+            expectedFixDate,
+            assignedTo,
+            blocksRoom,
+            outOfOrderFrom,
+            outOfOrderUntil
+        } = req.body;
+
+        if (!roomNumber || !issue) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide roomNumber and issue'
+            });
+        }
+
+        const isManager = hasPermission(req.permissions, 'hotel.maintenance.manage');
+        if (!isManager && MANAGER_FIELDS.some(field => req.body[field] !== undefined)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only maintenance managers can assign tickets or take rooms out of order'
+            });
+        }
+
+        const room = await Room.findOne({ roomNumber });
+        if (!room) {
+            return res.status(404).json({
+                success: false,
+                message: 'Room not found'
+            });
+        }
+
+        const assigneeError = await checkAssignee(assignedTo);
+        if (assigneeError) {
+            return res.status(400).json({
+                success: false,
+                message: assigneeError
+            });
+        }
+
+        const ticket = await MaintenanceTicket.create({
+            room: room._id,
+            roomNumber: room.roomNumber,
+            floor: room.floor,
+            issue,
+            description,
+            category,
+            priority,
+            expectedFixDate,
+            reportedBy: req.user._id,
+            assignedTo: assignedTo || null,
+            assignedAt: assignedTo ? new Date() : undefined,
+            blocksRoom: !!blocksRoom,
+            outOfOrderFrom,
+            outOfOrderUntil: outOfOrderUntil || null
+        });
+
+        await MaintenanceTicket.syncRoomStatus(room.roomNumber, req.user._id);
+        await ticket.populate(TICKET_POPULATE);
+
+        // Existing bookings are not cancelled automatically; the front desk has to move them
+        const affected = await affectedReservations(ticket);
+
+        res.status(201).json({
+            success: true,
+            message: affected.length > 0
+                ? `Ticket created. ${affected.length} reservation(s) fall inside the out-of-order period and need another room.`
+                : 'Ticket created successfully',
+            ticket,
+            affectedReservations: affected
+        });
+
+    } catch (error) {
+        console.error('Create maintenance ticket error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid ${error.path}`
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Update a ticket (details, assignment, out-of-order dates, status open/in_progress)
+// @route   PUT /api/hotel/maintenance/:id
+// @access  Private (hotel.maintenance.manage)
+exports.updateTicket = async (req, res) => {
+    try {
+        const ticket = await MaintenanceTicket.findById(req.params.id);
+        if (!ticket) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ticket not found'
+            });
+        }
+
+        if (!MaintenanceTicket.ACTIVE_STATUSES.includes(ticket.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot edit a ${ticket.status} ticket`
+            });
+        }
+
+        const { status, assignedTo } = req.body;
+        if (status !== undefined && !MaintenanceTicket.ACTIVE_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Use the resolve or cancel endpoints to close a ticket'
+            });
+        }
+
+        if (assignedTo !== undefined) {
+            const assigneeError = await checkAssignee(assignedTo);
+            if (assigneeError) {
+                return res.status(400).json({
+                    success: false,
+                    message: assigneeError
+                });
+            }
+            ticket.assignedTo = assignedTo || null;
+            ticket.assignedAt = new Date();
+        }
+
+        for (const field of ['issue', 'description', 'category', 'priority', 'expectedFixDate', 'blocksRoom', 'outOfOrderFrom', 'outOfOrderUntil']) {
+            if (req.body[field] !== undefined) {
+                ticket[field] = req.body[field] === '' ? null : req.body[field];
+            }
+        }
+
+        if (status === 'in_progress' && ticket.status === 'open') {
+            ticket.startedAt = new Date();
+        }
+        if (status) {
+            ticket.status = status;
+        }
+
+        await ticket.save();
+        await MaintenanceTicket.syncRoomStatus(ticket.roomNumber, req.user._id);
+        await ticket.populate(TICKET_POPULATE);
+
+        res.status(200).json({
+            success: true,
+            message: 'Ticket updated successfully',
+            ticket,
+            affectedReservations: await affectedReservations(ticket)
+        });
+
+    } catch (error) {
+        console.error('Update maintenance ticket error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Ticket not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// Close a ticket: an out-of-order period still running ends now, one that
+// had not started yet never happened
+const closeTicket = (ticket, now) => {
+    if (!ticket.blocksRoom) return;
+    if (ticket.outOfOrderFrom > now) {
+        ticket.blocksRoom = false;
+    } else if (!ticket.outOfOrderUntil || ticket.outOfOrderUntil > now) {
+        ticket.outOfOrderUntil = now;
+    }
+};
+
+// @desc    Resolve a ticket; the room goes to housekeeping if it was out of order
+// @route   PUT /api/hotel/maintenance/:id/resolve
+// @access  Private (hotel.maintenance.manage)
+exports.resolveTicket = async (req, res) => {
+    try {
+        const { resolution = '' } = req.body || {};
+
+        const ticket = await MaintenanceTicket.findById(req.params.id);
+        if (!ticket) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ticket not found'
+            });
+        }
+
+        if (!MaintenanceTicket.ACTIVE_STATUSES.includes(ticket.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Ticket is already ${ticket.status}`
+            });
+        }
+
+        const now = new Date();
+        closeTicket(ticket, now);
+        ticket.status = 'resolved';
+        ticket.resolvedAt = now;
+        ticket.resolvedBy = req.user._id;
+        ticket.resolution = resolution;
+        await ticket.save();
+
+        const room = await MaintenanceTicket.syncRoomStatus(ticket.roomNumber, req.user._id);
+        await ticket.populate(TICKET_POPULATE);
+
+        res.status(200).json({
+            success: true,
+            message: 'Ticket resolved successfully',
+            ticket,
+            room
+        });
+
+    } catch (error) {
+        console.error('Resolve maintenance ticket error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Ticket not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Cancel a ticket raised by mistake (also ends its out-of-order period)
+// @route   PUT /api/hotel/maintenance/:id/cancel
+// @access  Private (hotel.maintenance.manage)
+exports.cancelTicket = async (req, res) => {
+    try {
+        const { reason = '' } = req.body || {};
+
+        const ticket = await MaintenanceTicket.findById(req.params.id);
+        if (!ticket) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ticket not found'
+            });
+        }
+
+        if (!MaintenanceTicket.ACTIVE_STATUSES.includes(ticket.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Ticket is already ${ticket.status}`
+            });
+        }
+
+        const now = new Date();
+        closeTicket(ticket, now);
+        ticket.status = 'cancelled';
+        ticket.cancelledAt = now;
+        ticket.cancelReason = reason;
+        await ticket.save();
+
+        const room = await MaintenanceTicket.syncRoomStatus(ticket.roomNumber, req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Ticket cancelled successfully',
+            ticket,
+            room
+        });
+
+    } catch (error) {
+        console.error('Cancel maintenance ticket error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Ticket not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Rooms taken out of service in a period and for how long
+//          (from/to default to the last 30 days; planned periods are included)
+// @route   GET /api/hotel/maintenance/out-of-service
+// @access  Private (hotel.maintenance.view or hotel.reports.view)
+exports.getOutOfServiceReport = async (req, res) => {
+    try {
+        const now = new Date();
+        const to = req.query.to ? new Date(req.query.to) : new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+        const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * DAY_MS);
+
+        if (isNaN(from) || isNaN(to) || from >= to) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a valid from/to date range'
+            });
+        }
+
+        // Resolved tickets count for the time the room was actually out
+        const tickets = await MaintenanceTicket.find({
+            blocksRoom: true,
+            status: { $ne: 'cancelled' },
+            outOfOrderFrom: { $lt: to },
+            $or: [
+                { outOfOrderUntil: null },
+                { outOfOrderUntil: { $gt: from } }
+            ]
+        })
+            .sort({ roomNumber: 1, outOfOrderFrom: 1 })
+            .populate('assignedTo', 'name')
+            .lean();
+
+        const rooms = new Map();
+        const periods = tickets.map(ticket => {
+            const start = new Date(Math.max(ticket.outOfOrderFrom, from));
+            // Open-ended periods run to the end of the report
+            const end = new Date(Math.min(ticket.outOfOrderUntil || to, to));
+            const days = Math.round(((end - start) / DAY_MS) * 10) / 10;
+
+            if (!rooms.has(ticket.roomNumber)) {
+                rooms.set(ticket.roomNumber, { roomNumber: ticket.roomNumber, floor: ticket.floor, tickets: 0, daysOutOfService: 0 });
+            }
+            const room = rooms.get(ticket.roomNumber);
+            room.tickets++;
+            room.daysOutOfService = Math.round((room.daysOutOfService + days) * 10) / 10;
+
+            return {
+                ticketNumber: ticket.ticketNumber,
+                roomNumber: ticket.roomNumber,
+                issue: ticket.issue,
+                category: ticket.category,
+                priority: ticket.priority,
+                status: ticket.status,
+                assignedTo: ticket.assignedTo,
+                from: start,
+                to: end,
+                openEnded: !ticket.outOfOrderUntil,
+                planned: start > now,
+                days
+            };
+        });
+
+        const activeRooms = await Room.countDocuments({ isActive: true });
+        const periodDays = (to - from) / DAY_MS;
+        const roomDaysOut = Math.round(periods.reduce((sum, period) => sum + period.days, 0) * 10) / 10;
+
+        res.status(200).json({
+            success: true,
+            report: {
+                from,
+                to,
+                summary: {
+                    roomsAffected: rooms.size,
+                    tickets: periods.length,
+                    roomDaysOut,
+                    // Share of the hotel's room-days lost to maintenance
+                    capacityLost: activeRooms > 0
+                        ? Math.round((roomDaysOut / (activeRooms * periodDays)) * 10000) / 100
+                        : 0
+                },
+                rooms: [...rooms.values()].sort((a, b) => b.daysOutOfService - a.daysOutOfService),
+                periods
+            }
+        });
+
+    } catch (error) {
+        console.error('Out-of-service report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
@@ -457,12 +457,15 @@ exports.initializeMenuItems = async (req, res) => {
             }
         ];
 
+        // Load and save rather than upsert so each change is audited
         for (const item of defaultItems) {
-            await MenuItem.findOneAndUpdate(
-                { name: item.name, category: item.category },
-                { ...item, createdBy: req.user._id, updatedBy: req.user._id },
-                { upsert: true, new: true }
-            );
+            const menuItem = await MenuItem.findOne({ name: item.name, category: item.category });
+            if (menuItem) {
+                menuItem.set({ ...item, updatedBy: req.user._id });
+                await menuItem.save();
+            } else {
+                await MenuItem.create({ ...item, createdBy: req.user._id, updatedBy: req.user._id });
+            }
         }
 
         res.status(200).json({
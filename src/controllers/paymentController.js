@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const { roundMoney } = require('../utils/payments');
+
+// Labels used in messages, per booking type
+const BOOKING_LABELS = {
+    reservation: 'Reservation',
+    pool: 'Booking',
+    conference: 'Booking',
+    sale: 'Sale'
+};
+
+const findBooking = (bookingType, id) =>
+    mongoose.model(Payment.BOOKING_MODELS[bookingType]).findById(id);
+
+// @desc    List payments and refunds of a booking with the running balance
+// @route   GET /api/hotel/reservations/:id/payments
+// @route   GET /api/pool/bookings/:id/payments
+// @route   GET /api/conference/bookings/:id/payments
+// @route   GET /api/restaurant/sales/:id/payments
+// @access  Private (department view permission)
+exports.getPayments = (bookingType) => async (req, res) => {
+    const label = BOOKING_LABELS[bookingType];
+    try {
+        const booking = await findBooking(bookingType, req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: `${label} not found`
+            });
+        }
+
+        const payments = await Payment.find({ bookingType, booking: booking._id })
+            .sort({ receivedAt: 1 })
+            .populate('receivedBy', 'name');
+
+        res.status(200).json({
+            success: true,
+            count: payments.length,
+            payments,
+            summary: await Payment.getSummary(bookingType, booking)
+        });
+
+    } catch (error) {
+        console.error('Get payments error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: `${label} not found`
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Record a payment (positive amount) or refund (negative amount)
+// @route   POST /api/hotel/reservations/:id/payments
+// @route   POST /api/pool/bookings/:id/payments
+// @route   POST /api/conference/bookings/:id/payments
+// @route   POST /api/restaurant/sales/:id/payments
+// @access  Private (department payments permission)
+exports.recordPayment = (bookingType) => async (req, res) => {
+    const label = BOOKING_LABELS[bookingType];
+    try {
+        const { amount, method, reference, notes, receivedAt } = req.body;
+        const value = roundMoney(amount);
+
+        if (amount === undefined || amount === null || isNaN(Number(amount)) || value === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'A non-zero amount is required (negative for a refund)'
+            });
+        }
+
+        if (method && !Payment.PAYMENT_METHODS.includes(method)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid payment method. Use one of: ${Payment.PAYMENT_METHODS.join(', ')}`
+            });
+        }
+
+        if (receivedAt && isNaN(new Date(receivedAt).getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid payment date'
+            });
+        }
+
+        const booking = await findBooking(bookingType, req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: `${label} not found`
+            });
+        }
+
+        const totals = await Payment.syncBooking(bookingType, booking);
+        const balance = roundMoney(booking.getAmountDue() - totals.net);
+
+        if (value > 0 && booking.paymentStatus === 'cancelled') {
+            return res.status(400).json({
+                success: false,
+                message: `${label} is cancelled; only refunds can be recorded`
+            });
+        }
+
+        if (value > 0 && value > balance) {
+            return res.status(400).json({
+                success: false,
+                message: `Payment exceeds the balance due of ${balance}`
+            });
+        }
+
+        if (value < 0 && -value > totals.net) {
+            return res.status(400).json({
+                success: false,
+                message: `Refund exceeds the ${totals.net} received`
+            });
+        }
+
+        const payment = await Payment.recordForBooking(bookingType, booking, {
+            amount: value,
+            method,
+            reference,
+            notes,
+            receivedBy: req.user._id,
+            receivedAt: receivedAt ? new Date(receivedAt) : undefined
+        });
+        await booking.save();
+
+        console.log(`💰 ${payment.type === 'refund' ? 'Refund' : 'Payment'} of ${Math.abs(value)} recorded on ${payment.bookingNumber}`);
+
+        res.status(201).json({
+            success: true,
+            message: value < 0 ? 'Refund recorded successfully' : 'Payment recorded successfully',
+            payment,
+            summary: await Payment.getSummary(bookingType, booking)
+        });
+
+    } catch (error) {
+        console.error('Record payment error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: `${label} not found`
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
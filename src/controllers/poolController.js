@@ -1,6 +1,8 @@
 const Pool = require('../models/Pool');
 const TicketPrice = require('../models/TicketPrice');
 const TimeSlot = require('../models/TimeSlot');
+const Guest = require('../models/Guest');
+const Payment = require('../models/Payment');
 
 // @desc    Get all pool bookings with filters
 // @route   GET /api/pool/bookings
@@ -13,9 +15,11 @@ exports.getBookings = async (req, res) => {
             status,
             search,
             date,
+            includeDeleted,
             sortBy = 'createdAt',
             sortOrder = 'desc'
         } = req.query;
+        const withDeleted = includeDeleted === 'true';
 
         const query = {};
 
@@ -51,13 +55,15 @@ exports.getBookings = async (req, res) => {
 
         // Get bookings with population
         const bookings = await Pool.find(query)
+            .withDeleted(withDeleted)
             .sort(sort)
             .limit(parseInt(limit))
             .skip(skip)
             .populate('createdBy', 'name email')
+            .populate('deletedBy', 'name')
             .lean();
 
-        const total = await Pool.countDocuments(query);
+        const total = await Pool.countDocuments(query).withDeleted(withDeleted);
 
         console.log(`📊 Found ${bookings.length} bookings (Page ${page})`);
 
@@ -123,6 +129,7 @@ exports.createBooking = async (req, res) => {
         console.log('Request body:', req.body);
 
         const {
+            guestId,
             customerName,
             email,
             phone,
@@ -132,6 +139,8 @@ exports.createBooking = async (req, res) => {
             persons,
             discount = 0,
             paymentStatus,
+            paymentMethod,
+            paymentReference,
             notes
         } = req.body;
 
@@ -210,12 +219,18 @@ exports.createBooking = async (req, res) => {
         // Calculate final amount after discount
         const amount = Math.max(0, subtotal - parseFloat(discount));
 
-        // Generate booking number
-        const bookingCount = await Pool.countDocuments();
-        const bookingNumber = `PB-${Date.now().toString().slice(-6)}-${bookingCount + 1}`;
+        // Link to a guest profile (explicit guestId, or matched/created from contact details)
+        const guest = await Guest.resolveForBooking({ guestId, name: customerName, email: email, phone: phone }, req.user._id);
+        if (guestId && !guest) {
+            return res.status(400).json({
+                success: false,
+                message: 'Guest not found'
+            });
+        }
 
         // Create booking
         const booking = await Pool.create({
+            guest: guest ? guest._id : null,
             customerName,
             email: email || '',
             phone: phone || '',
@@ -226,12 +241,21 @@ exports.createBooking = async (req, res) => {
             subtotal,
             discount: parseFloat(discount),
             amount,
-            paymentStatus: paymentStatus || 'pending',
+            paymentStatus: 'pending',
             notes: notes || '',
-            bookingNumber,
             createdBy: req.user._id
         });
 
+        // Paid at the counter: record it in the payment ledger
+        if (paymentStatus === 'paid') {
+            await Payment.applyStatus('pool', booking, 'paid', {
+                method: paymentMethod,
+                reference: paymentReference,
+                receivedBy: req.user._id
+            });
+            await booking.save();
+        }
+
         // Update time slot current bookings count
         slot.currentBookings = totalBookedPersons + parseInt(persons);
         await slot.save();
@@ -284,6 +308,13 @@ exports.updateBooking = async (req, res) => {
             notes
         } = req.body;
 
+        if (paymentStatus && !['paid', 'pending', 'cancelled'].includes(paymentStatus)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid payment status'
+            });
+        }
+
         // Find booking
         const booking = await Pool.findById(req.params.id);
         if (!booking) {
@@ -306,7 +337,6 @@ exports.updateBooking = async (req, res) => {
         if (timeSlot) booking.timeSlot = timeSlot;
         if (passType) booking.passType = passType;
         if (persons) booking.persons = parseInt(persons);
-        if (paymentStatus) booking.paymentStatus = paymentStatus;
         if (notes !== undefined) booking.notes = notes;
 
         // Handle time slot capacity if changed
@@ -390,6 +420,19 @@ exports.updateBooking = async (req, res) => {
             }
         }
 
+        // The amount may have moved; status comes from the ledger
+        if (paymentStatus) {
+            const paymentError = await Payment.applyStatus('pool', booking, paymentStatus, { receivedBy: req.user._id });
+            if (paymentError) {
+                return res.status(400).json({
+                    success: false,
+                    message: paymentError
+                });
+            }
+        } else {
+            await Payment.syncBooking('pool', booking);
+        }
+
         await booking.save();
 
         // Get updated booking with populated data
@@ -425,7 +468,7 @@ exports.updateBooking = async (req, res) => {
     }
 };
 
-// @desc    Delete booking
+// @desc    Delete booking (soft delete, optional reason in body or query)
 // @route   DELETE /api/pool/bookings/:id
 // @access  Private/Admin
 exports.deleteBooking = async (req, res) => {
@@ -446,7 +489,8 @@ exports.deleteBooking = async (req, res) => {
             await slot.save();
         }
 
-        await booking.deleteOne();
+        const reason = (req.body && req.body.reason) || req.query.reason || '';
+        await booking.softDelete(req.user._id, reason);
 
         res.status(200).json({
             success: true,
@@ -468,12 +512,89 @@ exports.deleteBooking = async (req, res) => {
     }
 };
 
+// @desc    Restore soft-deleted booking
+// @route   POST /api/pool/bookings/:id/restore
+// @access  Private/Admin
+exports.restoreBooking = async (req, res) => {
+    try {
+        const booking = await Pool.findById(req.params.id).withDeleted();
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+
+        if (!booking.deletedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Booking is not deleted'
+            });
+        }
+
+        // Take the slot capacity back, if it is still there
+        const slot = await TimeSlot.findOne({ value: booking.timeSlot });
+        if (slot) {
+            const startDate = new Date(booking.date);
+            startDate.setHours(0, 0, 0, 0);
+            const endDate = new Date(booking.date);
+            endDate.setHours(23, 59, 59, 999);
+
+            const existingBookings = await Pool.find({
+                _id: { $ne: booking._id },
+                date: { $gte: startDate, $lte: endDate },
+                timeSlot: booking.timeSlot,
+                paymentStatus: { $ne: 'cancelled' }
+            });
+
+            const totalBookedPersons = existingBookings.reduce((sum, b) => sum + b.persons, 0);
+            const availableSpots = slot.maxCapacity - totalBookedPersons;
+
+            if (booking.paymentStatus !== 'cancelled' && availableSpots < booking.persons) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Only ${availableSpots} spots left in this slot, booking needs ${booking.persons}`
+                });
+            }
+
+            slot.currentBookings += booking.persons;
+            await slot.save();
+        }
+
+        await booking.restore();
+
+        const restoredBooking = await Pool.findById(booking._id)
+            .populate('createdBy', 'name email')
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            message: 'Booking restored successfully',
+            booking: restoredBooking
+        });
+
+    } catch (error) {
+        console.error('Restore booking error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Booking not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 // @desc    Update payment status
 // @route   PUT /api/pool/bookings/:id/status
 // @access  Private/Admin, Pool Staff
 exports.updatePaymentStatus = async (req, res) => {
     try {
-        const { paymentStatus } = req.body;
+        const { paymentStatus, paymentMethod, paymentReference } = req.body;
 
         if (!paymentStatus || !['paid', 'pending', 'cancelled'].includes(paymentStatus)) {
             return res.status(400).json({
@@ -490,6 +611,15 @@ exports.updatePaymentStatus = async (req, res) => {
             });
         }
 
+        // Money already taken has to be refunded through the ledger first
+        const totals = await Payment.syncBooking('pool', booking);
+        if (paymentStatus === 'pending' && totals.net > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${totals.net} has already been received; record a refund instead`
+            });
+        }
+
         // If changing to cancelled, free up slot capacity
         if (paymentStatus === 'cancelled' && booking.paymentStatus !== 'cancelled') {
             const slot = await TimeSlot.findOne({ value: booking.timeSlot });
@@ -530,7 +660,15 @@ exports.updatePaymentStatus = async (req, res) => {
             }
         }
 
-        booking.paymentStatus = paymentStatus;
+        // Reinstating a cancelled booking; the ledger decides pending/partial/paid
+        if (paymentStatus !== 'cancelled' && booking.paymentStatus === 'cancelled') {
+            booking.paymentStatus = 'pending';
+        }
+        await Payment.applyStatus('pool', booking, paymentStatus, {
+            method: paymentMethod,
+            reference: paymentReference,
+            receivedBy: req.user._id
+        });
         await booking.save();
 
         const updatedBooking = await Pool.findById(booking._id)
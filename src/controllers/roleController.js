@@ -0,0 +1,216 @@
+// controllers/roleController.js
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { PERMISSIONS } = require('../config/permissions');
+
+// @desc    Get all roles
+// @route   GET /api/roles
+// @access  Private/Admin
+exports.getRoles = async (req, res) => {
+    try {
+        const roles = await Role.find()
+            .sort({ isSystem: -1, name: 1 })
+            .populate('updatedBy', 'name')
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            count: roles.length,
+            roles
+        });
+    } catch (error) {
+        console.error('Get roles error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get permission catalog
+// @route   GET /api/roles/permissions
+// @access  Private/Admin
+exports.getPermissions = async (req, res) => {
+    try {
+        const permissions = Object.entries(PERMISSIONS).map(([name, description]) => ({
+            name,
+            module: name.split('.')[0],
+            description
+        }));
+
+        res.status(200).json({
+            success: true,
+            count: permissions.length,
+            permissions
+        });
+    } catch (error) {
+        console.error('Get permissions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Create role
+// @route   POST /api/roles
+// @access  Private/Admin
+exports.createRole = async (req, res) => {
+    try {
+        const { name, displayName, description, permissions, isActive = true, requireTwoFactor = false } = req.body;
+
+        if (!name || !displayName) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide name and displayName'
+            });
+        }
+
+        const existingRole = await Role.findOne({ name: String(name).toLowerCase() });
+        if (existingRole) {
+            return res.status(400).json({
+                success: false,
+                message: 'Role with this name already exists'
+            });
+        }
+
+        const role = await Role.create({
+            name,
+            displayName,
+            description: description || '',
+            permissions: permissions || [],
+            isActive,
+            requireTwoFactor: !!requireTwoFactor,
+            updatedBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Role created successfully',
+            role
+        });
+    } catch (error) {
+        console.error('Create role error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Update role (permissions, display name, active flag, 2FA requirement)
+// @route   PUT /api/roles/:id
+// @access  Private/Admin
+exports.updateRole = async (req, res) => {
+    try {
+        const { displayName, description, permissions, isActive, requireTwoFactor } = req.body;
+
+        const role = await Role.findById(req.params.id);
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        // Never let the admin role lock everyone out
+        if (role.name === 'admin' && (permissions !== undefined || isActive === false)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Permissions of the admin role cannot be changed'
+            });
+        }
+
+        if (displayName) role.displayName = displayName;
+        if (description !== undefined) role.description = description;
+        if (permissions !== undefined) role.permissions = permissions;
+        if (isActive !== undefined) role.isActive = isActive;
+        if (requireTwoFactor !== undefined) role.requireTwoFactor = !!requireTwoFactor;
+        role.updatedBy = req.user._id;
+
+        await role.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Role updated successfully',
+            role
+        });
+    } catch (error) {
+        console.error('Update role error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Delete role
+// @route   DELETE /api/roles/:id
+// @access  Private/Admin
+exports.deleteRole = async (req, res) => {
+    try {
+        const role = await Role.findById(req.params.id);
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        if (role.isSystem) {
+            return res.status(400).json({
+                success: false,
+                message: 'Built-in roles cannot be deleted'
+            });
+        }
+
+        const usersWithRole = await User.countDocuments({
+            $or: [{ role: role.name }, { roles: role.name }]
+        });
+        if (usersWithRole > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Role is assigned to ${usersWithRole} user(s). Reassign them first.`
+            });
+        }
+
+        await role.deleteOne();
+
+        res.status(200).json({
+            success: true,
+            message: 'Role deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete role error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
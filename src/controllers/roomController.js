@@ -1,5 +1,6 @@
 // controllers/roomController.js
 const Room = require('../models/Room');
+const MaintenanceTicket = require('../models/MaintenanceTicket');
 
 // @desc    Get all rooms
 // @route   GET /api/hotel/rooms
@@ -55,11 +56,12 @@ exports.getRooms = async (req, res) => {
                 reservationStatus: { $in: ['confirmed', 'checked_in'] }
             }).distinct('roomNumber');
 
-            query.roomNumber = { $nin: bookedReservations };
+            // Rooms out of order for any part of the stay
+            const outOfOrderRooms = await MaintenanceTicket.find(MaintenanceTicket.blockingFilter(checkIn, checkOut))
+                .distinct('roomNumber');
 
-            if (!status) {
-                query.status = 'available';
-            }
+            // Free for the dates whatever the room's state today (cleaning, occupied until then, ...)
+            query.roomNumber = { $nin: [...bookedReservations, ...outOfOrderRooms] };
         }
 
 
@@ -311,4 +313,126 @@ exports.updateRoomStatus = async (req, res) => {
             message: 'Server error'
         });
     }
+};
+
+// @desc    Availability calendar (tape chart) for all rooms
+// @route   GET /api/hotel/availability?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private/Admin, Hotel Staff
+exports.getAvailability = async (req, res) => {
+    try {
+        const DAY_MS = 1000 * 60 * 60 * 24;
+        const MAX_NIGHTS = 62;
+
+        // Nights are whole UTC days, the same keys RoomNightLock uses
+        const today = new Date().toISOString().slice(0, 10);
+        const from = new Date(req.query.from || today);
+        const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 30 * DAY_MS);
+
+        if (isNaN(from) || isNaN(to) || from >= to) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a valid from/to date range'
+            });
+        }
+
+        from.setUTCHours(0, 0, 0, 0);
+        const nightCount = Math.ceil((to - from) / DAY_MS);
+        if (nightCount > MAX_NIGHTS) {
+            return res.status(400).json({
+                success: false,
+                message: `Availability can be requested for at most ${MAX_NIGHTS} nights at a time`
+            });
+        }
+
+        const nights = [];
+        for (let i = 0; i < nightCount; i++) {
+            nights.push(new Date(from.getTime() + i * DAY_MS).toISOString().slice(0, 10));
+        }
+        const end = new Date(from.getTime() + nightCount * DAY_MS);
+
+        // Indexes of the grid nights a [start, finish) period touches
+        const nightRange = (start, finish) => ({
+            first: Math.max(0, Math.floor((new Date(start) - from) / DAY_MS)),
+            last: Math.min(nightCount, finish ? Math.ceil((new Date(finish) - from) / DAY_MS) : nightCount)
+        });
+
+        const Reservation = require('../models/Reservation');
+        const [rooms, reservations, tickets] = await Promise.all([
+            Room.find({ isActive: true })
+                .sort({ roomNumber: 1 })
+                .select('roomNumber roomType floor status')
+                .lean(),
+            Reservation.find({
+                checkIn: { $lt: end },
+                checkOut: { $gt: from },
+                reservationStatus: { $in: ['confirmed', 'checked_in'] }
+            })
+                .select('reservationNumber roomNumber guestName checkIn checkOut reservationStatus')
+                .lean(),
+            MaintenanceTicket.find(MaintenanceTicket.blockingFilter(from, end))
+                .select('ticketNumber roomNumber issue outOfOrderFrom outOfOrderUntil')
+                .lean()
+        ]);
+
+        const grid = new Map(rooms.map(room => [
+            room.roomNumber,
+            nights.map(date => ({ date, state: 'free' }))
+        ]));
+
+        for (const ticket of tickets) {
+            const cells = grid.get(ticket.roomNumber);
+            if (!cells) continue;
+            const { first, last } = nightRange(ticket.outOfOrderFrom, ticket.outOfOrderUntil);
+            for (let i = first; i < last; i++) {
+                cells[i].state = 'out_of_order';
+                cells[i].ticketNumber = ticket.ticketNumber;
+                cells[i].issue = ticket.issue;
+            }
+        }
+
+        // Bookings win over maintenance so conflicts stay visible as reserved nights
+        for (const reservation of reservations) {
+            const cells = grid.get(reservation.roomNumber);
+            if (!cells) continue;
+            const { first, last } = nightRange(reservation.checkIn, reservation.checkOut);
+            for (let i = first; i < last; i++) {
+                cells[i].state = reservation.reservationStatus === 'checked_in' ? 'occupied' : 'reserved';
+                cells[i].reservationId = reservation._id;
+                cells[i].reservationNumber = reservation.reservationNumber;
+                cells[i].guestName = reservation.guestName;
+            }
+        }
+
+        // Free rooms per night for each room type
+        const summary = new Map();
+        for (const room of rooms) {
+            if (!summary.has(room.roomType)) {
+                summary.set(room.roomType, { roomType: room.roomType, totalRooms: 0, free: new Array(nightCount).fill(0) });
+            }
+            const type = summary.get(room.roomType);
+            type.totalRooms++;
+            grid.get(room.roomNumber).forEach((cell, i) => {
+                if (cell.state === 'free') type.free[i]++;
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            from: nights[0],
+            to: end.toISOString().slice(0, 10),
+            nights,
+            rooms: rooms.map(room => ({
+                ...room,
+                nights: grid.get(room.roomNumber)
+            })),
+            summary: [...summary.values()]
+        });
+
+    } catch (error) {
+        console.error('Get availability error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
 };
\ No newline at end of file
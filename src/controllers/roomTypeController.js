@@ -32,7 +32,14 @@ exports.createRoomType = async (req, res) => {
             name,
             description,
             basePrice,
+            weekendPrice,
+            weekendDays,
+            seasonalRates,
+            ratePlans,
             maxOccupancy,
+            baseOccupancy,
+            extraAdultCharge,
+            extraChildCharge,
             amenities,
             isActive = true
         } = req.body;
@@ -59,7 +66,14 @@ exports.createRoomType = async (req, res) => {
             name,
             description,
             basePrice,
+            weekendPrice,
+            weekendDays,
+            seasonalRates: seasonalRates || [],
+            ratePlans: ratePlans || [],
             maxOccupancy,
+            baseOccupancy,
+            extraAdultCharge,
+            extraChildCharge,
             amenities: amenities || [],
             isActive
         });
@@ -95,7 +109,14 @@ exports.updateRoomType = async (req, res) => {
             name,
             description,
             basePrice,
+            weekendPrice,
+            weekendDays,
+            seasonalRates,
+            ratePlans,
             maxOccupancy,
+            baseOccupancy,
+            extraAdultCharge,
+            extraChildCharge,
             amenities,
             isActive
         } = req.body;
@@ -112,7 +133,15 @@ exports.updateRoomType = async (req, res) => {
         if (name) roomType.name = name;
         if (description) roomType.description = description;
         if (basePrice) roomType.basePrice = basePrice;
+        // Rate changes only price new bookings; reservations keep their nightly rates
+        if (weekendPrice !== undefined) roomType.weekendPrice = weekendPrice;
+        if (weekendDays) roomType.weekendDays = weekendDays;
+        if (seasonalRates) roomType.seasonalRates = seasonalRates;
+        if (ratePlans) roomType.ratePlans = ratePlans;
         if (maxOccupancy) roomType.maxOccupancy = maxOccupancy;
+        if (baseOccupancy !== undefined) roomType.baseOccupancy = baseOccupancy;
+        if (extraAdultCharge !== undefined) roomType.extraAdultCharge = extraAdultCharge;
+        if (extraChildCharge !== undefined) roomType.extraChildCharge = extraChildCharge;
         if (amenities) roomType.amenities = amenities;
         if (isActive !== undefined) roomType.isActive = isActive;
 
@@ -181,17 +210,14 @@ exports.initializeRoomTypes = async (req, res) => {
             }
         ];
 
+        // Only missing room types are created; existing ones keep the prices,
+        // occupancy and details the admin set
         const results = [];
         for (const roomTypeData of defaultRoomTypes) {
             const existing = await RoomType.findOne({ name: roomTypeData.name });
             if (!existing) {
                 const roomType = await RoomType.create(roomTypeData);
                 results.push(roomType);
-            } else {
-                // Update existing
-                Object.assign(existing, roomTypeData);
-                await existing.save();
-                results.push(existing);
             }
         }
 
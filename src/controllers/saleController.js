@@ -1,5 +1,108 @@
 const Sale = require('../models/Sale');
 const MenuItem = require('../models/MenuItem');
+const Guest = require('../models/Guest');
+const Reservation = require('../models/Reservation');
+const Payment = require('../models/Payment');
+
+// Statuses that take a room-charged bill back off the folio
+const REVERSING_PAYMENT_STATUSES = ['cancelled', 'refunded'];
+
+const hasActiveRoomCharge = (sale) =>
+    !!(sale.roomCharge && sale.roomCharge.reservation && !sale.roomCharge.reversedAt);
+
+// Payment ledger method for money taken against a sale
+const ledgerMethod = (sale) => {
+    if (hasActiveRoomCharge(sale)) return 'room_charge';
+    return Payment.PAYMENT_METHODS.includes(sale.paymentMethod) ? sale.paymentMethod : 'other';
+};
+
+// Post the sale total to a checked-in reservation's folio and settle the sale
+// against it in the payment ledger; the caller saves the sale
+const postToRoom = async (sale, reservation, userId) => {
+    const charge = reservation.postCharge({
+        type: 'restaurant',
+        service: `Restaurant bill ${sale.saleNumber}`,
+        sale: sale._id,
+        amount: sale.totalAmount,
+        quantity: 1,
+        postedBy: userId
+    });
+    await reservation.save();
+
+    sale.roomCharge = {
+        roomNumber: reservation.roomNumber,
+        reservation: reservation._id,
+        chargeId: charge._id,
+        reversedAt: undefined,
+        reversedFor: undefined
+    };
+
+    await Payment.recordForBooking('sale', sale, {
+        amount: sale.totalAmount,
+        method: 'room_charge',
+        reference: reservation.reservationNumber,
+        notes: `Charged to room ${reservation.roomNumber}`,
+        receivedBy: userId
+    });
+    console.log(`🏨 Sale ${sale.saleNumber} charged to room ${reservation.roomNumber} (${reservation.reservationNumber})`);
+};
+
+// Void the folio posting of a room-charged sale and refund the room charge in
+// the payment ledger; the caller saves the sale. Like voiding from the folio,
+// this is only allowed during a checked-in stay, since a settled folio has
+// been paid and invoiced; returns an error message or null.
+const reverseRoomCharge = async (sale, userId, cause) => {
+    if (!hasActiveRoomCharge(sale)) {
+        return null;
+    }
+
+    const reservation = await Reservation.findById(sale.roomCharge.reservation).withDeleted();
+    const charge = reservation && reservation.extraCharges.id(sale.roomCharge.chargeId);
+    if (charge && !charge.voided) {
+        if (reservation.deletedAt || reservation.reservationStatus !== 'checked_in') {
+            return `Sale ${sale.saleNumber} was charged to room ${reservation.roomNumber} on reservation ${reservation.reservationNumber}, which is no longer checked in; refund the guest on that reservation instead`;
+        }
+        reservation.voidCharge(charge, userId, `Sale ${sale.saleNumber} ${cause}`);
+        await reservation.save();
+        console.log(`↩️ Reversed room charge of sale ${sale.saleNumber} on ${reservation.reservationNumber}`);
+    }
+
+    const roomPayments = await Payment.find({ bookingType: 'sale', booking: sale._id, method: 'room_charge' });
+    const charged = roomPayments.reduce((sum, payment) => sum + payment.amount, 0);
+    if (charged > 0) {
+        await Payment.recordForBooking('sale', sale, {
+            amount: -charged,
+            method: 'room_charge',
+            reference: reservation ? reservation.reservationNumber : '',
+            notes: `Room charge reversed (sale ${cause})`,
+            receivedBy: userId
+        });
+    }
+
+    sale.roomCharge.reversedAt = new Date();
+    sale.roomCharge.reversedFor = cause;
+    return null;
+};
+
+// Payment status changes go through the payment ledger; returns an error message or null
+const applySalePaymentStatus = async (sale, paymentStatus, userId) => {
+    if (!['pending', 'confirmed', 'cancelled', 'refunded'].includes(paymentStatus)) {
+        return 'Invalid payment status';
+    }
+    if (paymentStatus === 'pending') {
+        const totals = await Payment.syncBooking('sale', sale);
+        if (totals.net > 0) {
+            return `${totals.net} has already been received; record a refund instead`;
+        }
+    }
+    if (REVERSING_PAYMENT_STATUSES.includes(paymentStatus)) {
+        const reversalError = await reverseRoomCharge(sale, userId, paymentStatus);
+        if (reversalError) {
+            return reversalError;
+        }
+    }
+    return Payment.applyStatus('sale', sale, paymentStatus, { method: ledgerMethod(sale), receivedBy: userId });
+};
 
 // @desc    Get all sales
 // @route   GET /api/restaurant/sales
@@ -15,9 +118,11 @@ exports.getSales = async (req, res) => {
             search,
             startDate,
             endDate,
+            includeDeleted,
             sortBy = 'createdAt',
             sortOrder = 'desc'
         } = req.query;
+        const withDeleted = includeDeleted === 'true';
 
         const query = {};
 
@@ -67,14 +172,16 @@ exports.getSales = async (req, res) => {
         const skip = (parseInt(page) - 1) * parseInt(limit);
 
         const sales = await Sale.find(query)
+            .withDeleted(withDeleted)
             .sort(sort)
             .limit(parseInt(limit))
             .skip(skip)
             .populate('createdBy', 'name')
             .populate('servedBy', 'name')
+            .populate('deletedBy', 'name')
             .lean();
 
-        const total = await Sale.countDocuments(query);
+        const total = await Sale.countDocuments(query).withDeleted(withDeleted);
 
         res.status(200).json({
             success: true,
@@ -141,10 +248,12 @@ exports.createSale = async (req, res) => {
         console.log('Request body:', req.body);
 
         const {
+            guestId,
             customerName,
             customerPhone,
             customerEmail,
             tableNumber,
+            chargeToRoom,
             items,
             paymentMethod,
             paymentStatus,
@@ -163,6 +272,21 @@ exports.createSale = async (req, res) => {
             });
         }
 
+        // Charging to a room needs an in-house guest in that room
+        let roomReservation = null;
+        if (chargeToRoom) {
+            roomReservation = await Reservation.findOne({
+                roomNumber: String(chargeToRoom).trim(),
+                reservationStatus: 'checked_in'
+            });
+            if (!roomReservation) {
+                return res.status(400).json({
+                    success: false,
+                    message: `No checked-in reservation found for room ${chargeToRoom}`
+                });
+            }
+        }
+
         let subtotal = 0;
         let taxTotal = 0;
         const processedItems = [];
@@ -228,8 +352,18 @@ exports.createSale = async (req, res) => {
         const totalDiscount = discountTotal || 0;
         const totalAmount = subtotal + taxTotal - totalDiscount;
 
+        // Link to a guest profile (explicit guestId, or matched/created from contact details)
+        const guest = await Guest.resolveForBooking({ guestId, name: customerName, email: customerEmail, phone: customerPhone }, req.user._id);
+        if (guestId && !guest) {
+            return res.status(400).json({
+                success: false,
+                message: 'Guest not found'
+            });
+        }
+
         // Create sale object - REMOVED saleNumber (let pre-save hook handle it)
         const saleData = {
+            guest: guest ? guest._id : null,
             customerName: customerName || 'Guest',
             customerPhone,
             customerEmail,
@@ -240,7 +374,8 @@ exports.createSale = async (req, res) => {
             discountTotal: totalDiscount,
             totalAmount,
             paymentMethod: paymentMethod || 'cash',
-            paymentStatus: paymentStatus || 'pending',
+            // 'confirmed' is reached through the payment ledger once saved
+            paymentStatus: paymentStatus === 'confirmed' ? 'pending' : (paymentStatus || 'pending'),
             orderStatus: orderStatus || 'pending',
             orderType: orderType || 'dine_in',
             notes,
@@ -251,10 +386,26 @@ exports.createSale = async (req, res) => {
 
         console.log('📦 Sale data:', saleData);
 
+        // Room charges are settled on the folio at checkout
+        if (roomReservation) {
+            saleData.guest = saleData.guest || roomReservation.guest || null;
+            saleData.customerName = customerName || roomReservation.guestName;
+            saleData.paymentMethod = 'credit';
+            saleData.paymentStatus = 'pending';
+        }
+
         // Create and save sale
         const sale = new Sale(saleData);
         await sale.save();
 
+        if (roomReservation) {
+            await postToRoom(sale, roomReservation, req.user._id);
+            await sale.save();
+        } else if (paymentStatus === 'confirmed') {
+            await Payment.applyStatus('sale', sale, 'confirmed', { method: ledgerMethod(sale), receivedBy: req.user._id });
+            await sale.save();
+        }
+
         console.log('✅ Sale created successfully:', sale.saleNumber);
 
         // Populate and return
@@ -327,11 +478,29 @@ exports.updateSale = async (req, res) => {
         if (customerPhone !== undefined) sale.customerPhone = customerPhone;
         if (customerEmail !== undefined) sale.customerEmail = customerEmail;
         if (tableNumber !== undefined) sale.tableNumber = tableNumber;
-        if (paymentStatus) sale.paymentStatus = paymentStatus;
         if (orderStatus) sale.orderStatus = orderStatus;
         if (notes !== undefined) sale.notes = notes;
         if (staffNotes !== undefined) sale.staffNotes = staffNotes;
 
+        if (orderStatus === 'cancelled') {
+            const reversalError = await reverseRoomCharge(sale, req.user._id, 'cancelled');
+            if (reversalError) {
+                return res.status(400).json({
+                    success: false,
+                    message: reversalError
+                });
+            }
+        }
+        if (paymentStatus) {
+            const paymentError = await applySalePaymentStatus(sale, paymentStatus, req.user._id);
+            if (paymentError) {
+                return res.status(400).json({
+                    success: false,
+                    message: paymentError
+                });
+            }
+        }
+
         await sale.save();
 
         const updatedSale = await Sale.findById(sale._id)
@@ -361,7 +530,7 @@ exports.updateSale = async (req, res) => {
     }
 };
 
-// @desc    Delete sale
+// @desc    Delete sale (soft delete, optional reason in body or query)
 // @route   DELETE /api/restaurant/sales/:id
 // @access  Private/Admin
 exports.deleteSale = async (req, res) => {
@@ -375,6 +544,14 @@ exports.deleteSale = async (req, res) => {
             });
         }
 
+        const reversalError = await reverseRoomCharge(sale, req.user._id, 'deleted');
+        if (reversalError) {
+            return res.status(400).json({
+                success: false,
+                message: reversalError
+            });
+        }
+
         // If items were tracked in inventory, restore stock
         if (sale.items && sale.items.length > 0) {
             for (const item of sale.items) {
@@ -386,7 +563,8 @@ exports.deleteSale = async (req, res) => {
             }
         }
 
-        await sale.deleteOne();
+        const reason = (req.body && req.body.reason) || req.query.reason || '';
+        await sale.softDelete(req.user._id, reason);
 
         res.status(200).json({
             success: true,
@@ -408,6 +586,85 @@ exports.deleteSale = async (req, res) => {
     }
 };
 
+// @desc    Restore soft-deleted sale
+// @route   POST /api/restaurant/sales/:id/restore
+// @access  Private/Admin
+exports.restoreSale = async (req, res) => {
+    try {
+        const sale = await Sale.findById(req.params.id).withDeleted();
+
+        if (!sale) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sale not found'
+            });
+        }
+
+        if (!sale.deletedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Sale is not deleted'
+            });
+        }
+
+        // A room charge reversed on delete goes back on the folio, so the guest must still be in-house
+        let roomReservation = null;
+        if (sale.roomCharge && sale.roomCharge.reversedFor === 'deleted') {
+            roomReservation = await Reservation.findOne({
+                _id: sale.roomCharge.reservation,
+                reservationStatus: 'checked_in'
+            });
+            if (!roomReservation) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Cannot restore: room ${sale.roomCharge.roomNumber} is no longer checked in to re-post the charge`
+                });
+            }
+        }
+
+        // Take back the stock that was returned on delete
+        if (sale.items && sale.items.length > 0) {
+            for (const item of sale.items) {
+                const menuItem = await MenuItem.findById(item.menuItemId);
+                if (menuItem && menuItem.trackInventory) {
+                    menuItem.stockQuantity = Math.max(0, menuItem.stockQuantity - item.quantity);
+                    await menuItem.save();
+                }
+            }
+        }
+
+        if (roomReservation) {
+            await postToRoom(sale, roomReservation, req.user._id);
+        }
+
+        await sale.restore();
+
+        const restoredSale = await Sale.findById(sale._id)
+            .populate('createdBy', 'name')
+            .populate('servedBy', 'name')
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            message: 'Sale restored successfully',
+            sale: restoredSale
+        });
+
+    } catch (error) {
+        console.error('Restore sale error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Sale not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 // @desc    Update payment status
 // @route   PUT /api/restaurant/sales/:id/payment-status
 // @access  Private/Admin, Restaurant Staff
@@ -434,7 +691,13 @@ exports.updatePaymentStatus = async (req, res) => {
             });
         }
 
-        sale.paymentStatus = paymentStatus;
+        const paymentError = await applySalePaymentStatus(sale, paymentStatus, req.user._id);
+        if (paymentError) {
+            return res.status(400).json({
+                success: false,
+                message: paymentError
+            });
+        }
         await sale.save();
 
         const updatedSale = await Sale.findById(sale._id)
@@ -486,6 +749,15 @@ exports.updateOrderStatus = async (req, res) => {
         }
 
         sale.orderStatus = orderStatus;
+        if (orderStatus === 'cancelled') {
+            const reversalError = await reverseRoomCharge(sale, req.user._id, 'cancelled');
+            if (reversalError) {
+                return res.status(400).json({
+                    success: false,
+                    message: reversalError
+                });
+            }
+        }
         await sale.save();
 
         const updatedSale = await Sale.findById(sale._id)
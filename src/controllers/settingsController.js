@@ -0,0 +1,86 @@
+// controllers/settingsController.js
+const Setting = require('../models/Setting');
+
+// Fields admins may edit
+const EDITABLE_FIELDS = [
+    'hotelName',
+    'address',
+    'phone',
+    'email',
+    'website',
+    'taxId',
+    'logo',
+    'currency',
+    'locale',
+    'invoiceFooter',
+    'receiptFooter'
+];
+
+// @desc    Get business settings used on invoices and receipts
+// @route   GET /api/settings
+// @access  Private
+exports.getSettings = async (req, res) => {
+    try {
+        const settings = await Setting.getSettings();
+
+        res.status(200).json({
+            success: true,
+            settings
+        });
+    } catch (error) {
+        console.error('Get settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Update business settings
+// @route   PUT /api/settings
+// @access  Private (settings.manage)
+exports.updateSettings = async (req, res) => {
+    try {
+        // Amounts are formatted with this locale, so reject ones Intl cannot use
+        if (req.body.locale !== undefined) {
+            try {
+                new Intl.NumberFormat(req.body.locale);
+            } catch (localeError) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Invalid locale: ${req.body.locale}`
+                });
+            }
+        }
+
+        const settings = await Setting.getSettings();
+
+        for (const field of EDITABLE_FIELDS) {
+            if (req.body[field] !== undefined) {
+                settings[field] = req.body[field];
+            }
+        }
+
+        settings.updatedBy = req.user._id;
+        await settings.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Settings updated successfully',
+            settings
+        });
+    } catch (error) {
+        console.error('Update settings error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
@@ -1,4 +1,15 @@
 const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const Role = require('../models/Role');
+const { validatePasswordPolicy } = require('../config/passwordPolicy');
+
+// Returns role names that do not exist (or are disabled) in the Role collection
+const findUnknownRoles = async (roleNames) => {
+    const names = [...new Set(roleNames.filter(Boolean))];
+    const existing = await Role.find({ name: { $in: names }, isActive: true }).distinct('name');
+    return names.filter(name => !existing.includes(name));
+};
 
 // @desc    Get all users
 // @route   GET /api/users
@@ -25,7 +36,8 @@ exports.getAllUsers = async (req, res) => {
 // @access  Private/Admin
 exports.getUser = async (req, res) => {
     try {
-        const user = await User.findById(req.params.id);
+        const user = await User.findById(req.params.id)
+            .populate('lockoutEvents.unlockedBy', 'name username');
         if (!user) {
             return res.status(404).json({
                 success: false,
@@ -34,7 +46,10 @@ exports.getUser = async (req, res) => {
         }
         res.status(200).json({
             success: true,
-            user
+            user: {
+                ...user.toJSON(),
+                isLocked: user.isLocked()
+            }
         });
     } catch (error) {
         console.error('Get user error:', error);
@@ -56,7 +71,25 @@ exports.getUser = async (req, res) => {
 // @access  Private/Admin
 exports.createUser = async (req, res) => {
     try {
-        const { name, username, email, password, role } = req.body;
+        const { name, username, email, password, role, roles = [], mustChangePassword = true } = req.body;
+
+        // Validate roles against the Role collection
+        const unknownRoles = await findUnknownRoles([role || 'pool_staff', ...roles]);
+        if (unknownRoles.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown role(s): ${unknownRoles.join(', ')}`
+            });
+        }
+
+        // Validate password against policy
+        const passwordErrors = validatePasswordPolicy(password, { username, email });
+        if (passwordErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: passwordErrors.join(', ')
+            });
+        }
 
         // Check if user already exists
         const existingUser = await User.findOne({
@@ -76,7 +109,10 @@ exports.createUser = async (req, res) => {
             username,
             email,
             password,
-            role: role || 'pool_staff'
+            role: role || 'pool_staff',
+            roles,
+            // Admin knows this password, so staff must pick their own on first login
+            mustChangePassword: mustChangePassword !== false
         });
 
         res.status(201).json({
@@ -105,7 +141,7 @@ exports.createUser = async (req, res) => {
 // @access  Private/Admin
 exports.updateUser = async (req, res) => {
     try {
-        const { name, username, email, role, isActive, password } = req.body;
+        const { name, username, email, role, roles, isActive, password } = req.body;
         const userId = req.params.id;
 
         // Find user
@@ -139,24 +175,45 @@ exports.updateUser = async (req, res) => {
             }
         }
 
+        // Validate roles if provided
+        if (role || roles) {
+            const unknownRoles = await findUnknownRoles([role, ...(roles || [])]);
+            if (unknownRoles.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Unknown role(s): ${unknownRoles.join(', ')}`
+                });
+            }
+        }
+
         // Update fields
         if (name) user.name = name;
         if (username) user.username = username;
         if (email) user.email = email;
         if (role) user.role = role;
+        if (roles) user.roles = roles;
         if (isActive !== undefined) user.isActive = isActive;
         if (password) {
-            if (password.length < 6) {
+            const passwordErrors = validatePasswordPolicy(password, user);
+            if (passwordErrors.length > 0) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Password must be at least 6 characters'
+                    message: passwordErrors.join(', ')
                 });
             }
             user.password = password; // Will be hashed in pre-save hook
+            user.mustChangePassword = true;
         }
 
         await user.save();
 
+        // Force re-login when the account is disabled or its password is reset
+        if (isActive === false) {
+            await Session.revokeAllForUser(user._id, 'user_deactivated');
+        } else if (password) {
+            await Session.revokeAllForUser(user._id, 'password_changed');
+        }
+
         // Return updated user without password
         const updatedUser = await User.findById(userId).select('-password');
 
@@ -208,6 +265,7 @@ exports.deleteUser = async (req, res) => {
         }
 
         await user.deleteOne();
+        await Session.revokeAllForUser(user._id, 'user_deactivated');
 
         res.status(200).json({
             success: true,
@@ -236,14 +294,61 @@ exports.changePassword = async (req, res) => {
         const { newPassword } = req.body;
         const userId = req.params.id;
 
-        if (!newPassword || newPassword.length < 6) {
+        const user = await User.findById(userId).select('+password');
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const passwordErrors = validatePasswordPolicy(newPassword, user);
+        if (passwordErrors.length > 0) {
             return res.status(400).json({
                 success: false,
-                message: 'Password must be at least 6 characters long'
+                message: passwordErrors.join(', ')
             });
         }
 
-        const user = await User.findById(userId).select('+password');
+        user.password = newPassword;
+        user.mustChangePassword = true;
+        await user.save();
+        await Session.revokeAllForUser(user._id, 'password_changed');
+
+        res.status(200).json({
+            success: true,
+            message: 'Password changed successfully'
+        });
+    } catch (error) {
+        console.error('Change password error:', error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({
+                success: false,
+                message: messages.join(', ')
+            });
+        }
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get sessions of a user
+// @route   GET /api/users/:id/sessions
+// @access  Private/Admin
+exports.getUserSessions = async (req, res) => {
+    try {
+        const { includeRevoked } = req.query;
+
+        const user = await User.findById(req.params.id);
         if (!user) {
             return res.status(404).json({
                 success: false,
@@ -251,15 +356,228 @@ exports.changePassword = async (req, res) => {
             });
         }
 
-        user.password = newPassword;
+        const query = { user: user._id };
+        if (includeRevoked !== 'true') {
+            query.revokedAt = null;
+            query.expiresAt = { $gt: new Date() };
+        }
+
+        const sessions = await Session.find(query)
+            .sort({ lastSeenAt: -1 })
+            .populate('revokedBy', 'name username')
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            count: sessions.length,
+            sessions
+        });
+    } catch (error) {
+        console.error('Get user sessions error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Force logout a user everywhere (all sessions)
+// @route   DELETE /api/users/:id/sessions
+// @access  Private/Admin
+exports.revokeUserSessions = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const result = await Session.revokeAllForUser(user._id, 'admin_revoked', req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'User logged out from all sessions',
+            revoked: result.modifiedCount
+        });
+    } catch (error) {
+        console.error('Revoke user sessions error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Force logout a single session of a user
+// @route   DELETE /api/users/:id/sessions/:sessionId
+// @access  Private/Admin
+exports.revokeUserSession = async (req, res) => {
+    try {
+        const session = await Session.findOne({
+            _id: req.params.sessionId,
+            user: req.params.id
+        });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        if (!session.revokedAt) {
+            session.revokedAt = new Date();
+            session.revokedReason = 'admin_revoked';
+            session.revokedBy = req.user._id;
+            await session.save();
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+    } catch (error) {
+        console.error('Revoke user session error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Unlock a user locked out by failed login attempts
+// @route   PUT /api/users/:id/unlock
+// @access  Private/Admin
+exports.unlockUser = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        // Close the latest lockout event so the history shows who unlocked it
+        const lastEvent = user.lockoutEvents[user.lockoutEvents.length - 1];
+        if (user.isLocked() && lastEvent && !lastEvent.unlockedAt) {
+            lastEvent.unlockedAt = new Date();
+            lastEvent.unlockedBy = req.user._id;
+        }
+
+        user.lockUntil = null;
+        user.failedLoginAttempts = 0;
         await user.save();
 
+        // Drop username/email throttling counters too
+        await LoginAttempt.clear(`user:${user.username}`);
+        await LoginAttempt.clear(`user:${user.email}`);
+
         res.status(200).json({
             success: true,
-            message: 'Password changed successfully'
+            message: 'User unlocked successfully',
+            user
         });
     } catch (error) {
-        console.error('Change password error:', error);
+        console.error('Unlock user error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Reset a user's two-factor enrollment (lost device); they enroll again on next login
+// @route   DELETE /api/users/:id/two-factor
+// @access  Private/Admin
+exports.resetTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        user.disableTwoFactor();
+        await user.save();
+
+        // Sessions opened with the old device should not outlive it
+        await Session.revokeAllForUser(user._id, 'admin_revoked', req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication reset successfully',
+            user
+        });
+    } catch (error) {
+        console.error('Reset two-factor error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Issue one-time password reset token for a user
+// @route   POST /api/users/:id/password-reset-token
+// @access  Private/Admin
+exports.issuePasswordResetToken = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const expiresInHours = parseInt(process.env.PASSWORD_RESET_EXPIRE_HOURS) || 24;
+        const resetToken = user.createPasswordResetToken(expiresInHours);
+        await user.save();
+
+        // Raw token is returned only once; admin hands it to the staff member
+        res.status(200).json({
+            success: true,
+            message: 'Password reset token issued',
+            resetToken,
+            expiresAt: user.passwordResetExpires
+        });
+    } catch (error) {
+        console.error('Issue password reset token error:', error);
         if (error.name === 'CastError') {
             return res.status(404).json({
                 success: false,
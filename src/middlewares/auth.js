@@ -1,6 +1,21 @@
 // middlewares/auth.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const { hasPermission } = require('../config/permissions');
+
+// Routes still reachable while a user is forced to change their password
+const PASSWORD_CHANGE_ALLOWED = ['/api/auth/password', '/api/auth/me', '/api/auth/logout'];
+
+// Routes still reachable while a user whose role requires 2FA has not enrolled yet
+const TWO_FACTOR_SETUP_ALLOWED = [
+    '/api/auth/2fa/setup',
+    '/api/auth/2fa/enable',
+    '/api/auth/password',
+    '/api/auth/me',
+    '/api/auth/logout'
+];
 
 // Authentication middleware
 exports.auth = async (req, res, next) => {
@@ -20,6 +35,16 @@ exports.auth = async (req, res, next) => {
 
         try {
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+            // Tokens must belong to a live session; revoked or rotated tokens are rejected
+            const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+            if (!session || !session.isActive() || session.tokenVersion !== decoded.ver) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Session expired or revoked. Please log in again.'
+                });
+            }
+
             req.user = await User.findById(decoded.userId).select('-password');
 
             if (!req.user) {
@@ -36,6 +61,32 @@ exports.auth = async (req, res, next) => {
                 });
             }
 
+            // Track activity, but only write at most once a minute per session
+            if (Date.now() - session.lastSeenAt.getTime() > 60 * 1000) {
+                await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() });
+            }
+
+            const requestPath = req.baseUrl + req.path;
+
+            if (req.user.mustChangePassword && !PASSWORD_CHANGE_ALLOWED.includes(requestPath)) {
+                return res.status(403).json({
+                    success: false,
+                    code: 'PASSWORD_CHANGE_REQUIRED',
+                    message: 'You must change your password before continuing'
+                });
+            }
+
+            if (!req.user.twoFactorEnabled &&
+                !TWO_FACTOR_SETUP_ALLOWED.includes(requestPath) &&
+                await Role.requiresTwoFactor(req.user.getRoles())) {
+                return res.status(403).json({
+                    success: false,
+                    code: 'TWO_FACTOR_SETUP_REQUIRED',
+                    message: 'Your role requires two-factor authentication. Please set it up before continuing.'
+                });
+            }
+
+            req.session = session;
             next();
         } catch (error) {
             console.error('Token verification error:', error);
@@ -66,10 +117,12 @@ exports.authorize = (...roles) => {
         // FLATTEN the array - yeh fix hai
         const allowedRoles = roles.flat();
 
-        console.log('User role:', req.user.role);
+        const userRoles = req.user.getRoles();
+
+        console.log('User roles:', userRoles);
         console.log('Allowed roles:', allowedRoles);
 
-        if (!allowedRoles.includes(req.user.role)) {
+        if (!userRoles.some(role => allowedRoles.includes(role))) {
             return res.status(403).json({
                 success: false,
                 message: `Role '${req.user.role}' is not authorized to access this resource`
@@ -78,4 +131,39 @@ exports.authorize = (...roles) => {
 
         next();
     };
+};
+
+// Permission middleware - passes if the user holds ANY of the listed permissions
+exports.requirePermission = (...permissions) => {
+    const required = permissions.flat();
+
+    return async (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+
+        try {
+            if (!req.permissions) {
+                req.permissions = await Role.getPermissionsFor(req.user.getRoles());
+            }
+
+            if (!required.some(permission => hasPermission(req.permissions, permission))) {
+                return res.status(403).json({
+                    success: false,
+                    message: `Missing permission '${required.join("' or '")}' to access this resource`
+                });
+            }
+
+            next();
+        } catch (error) {
+            console.error('Permission check error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Server error'
+            });
+        }
+    };
 };
\ No newline at end of file
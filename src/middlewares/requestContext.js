@@ -0,0 +1,23 @@
+// middlewares/requestContext.js
+// Keeps the current request reachable from code that has no access to `req`
+// (e.g. mongoose hooks writing the audit trail).
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Client IP. X-Forwarded-For is only honoured for the proxy hops configured
+// with the 'trust proxy' setting (see server.js), so clients cannot forge it.
+const getClientIp = (req) => req.ip || '';
+
+const requestContext = (req, res, next) => {
+    storage.run({ req }, () => next());
+};
+
+// Returns { req } while handling a request, undefined otherwise (startup, scripts)
+const getRequestContext = () => storage.getStore();
+
+module.exports = {
+    requestContext,
+    getRequestContext,
+    getClientIp
+};
@@ -0,0 +1,85 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+const { getRequestContext, getClientIp } = require('../middlewares/requestContext');
+
+const auditLogSchema = new mongoose.Schema({
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Copied so the log stays readable after the user is deleted
+    actorName: {
+        type: String,
+        default: ''
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete', 'merge'],
+        required: [true, 'Action is required']
+    },
+    entityType: {
+        type: String,
+        required: [true, 'Entity type is required']
+    },
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, 'Entity ID is required']
+    },
+    // { field: { from, to } } for updates, full snapshot for create/delete, summary for merges
+    changes: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    route: {
+        type: String,
+        default: ''
+    },
+    ipAddress: {
+        type: String,
+        default: ''
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    versionKey: false
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, timestamp: -1 });
+auditLogSchema.index({ actor: 1, timestamp: -1 });
+auditLogSchema.index({ timestamp: -1 });
+
+// Write an entry for the current request (actor, route, IP are taken from it).
+// Does nothing outside a request, e.g. startup seeding and scripts.
+auditLogSchema.statics.record = async function (entityType, entityId, action, changes) {
+    const context = getRequestContext();
+    if (!context) return;
+
+    const { req } = context;
+    const user = req.user;
+
+    try {
+        await this.create({
+            actor: user ? user._id : null,
+            actorName: user ? (user.name || user.username) : '',
+            action,
+            entityType,
+            entityId,
+            changes,
+            route: `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`,
+            ipAddress: getClientIp(req),
+            userAgent: req.headers['user-agent'] || ''
+        });
+    } catch (error) {
+        // Auditing must never break the actual request
+        console.error('Audit log write error:', error.message);
+    }
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
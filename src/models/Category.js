@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const categorySchema = new mongoose.Schema({
     name: {
@@ -45,4 +46,6 @@ const categorySchema = new mongoose.Schema({
 // Index for search
 categorySchema.index({ name: 'text', displayName: 'text' });
 
+categorySchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Category', categorySchema);
\ No newline at end of file
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const softDelete = require('./plugins/softDelete');
+const Counter = require('./Counter');
+const { derivePaymentStatus } = require('../utils/payments');
 
 const conferenceSchema = new mongoose.Schema({
     eventName: {
@@ -6,6 +10,12 @@ const conferenceSchema = new mongoose.Schema({
         required: [true, 'Event name is required'],
         trim: true
     },
+    // Shared guest profile (matched or created on booking)
+    guest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Guest',
+        default: null
+    },
     clientName: {
         type: String,
         required: [true, 'Client name is required'],
@@ -87,6 +97,7 @@ const conferenceSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Net of the payment ledger (see models/Payment.js), cached on every sync
     advancePaid: {
         type: Number,
         default: 0
@@ -132,8 +143,8 @@ const conferenceSchema = new mongoose.Schema({
 conferenceSchema.pre('save', async function () {
     // Generate booking number if not exists
     if (!this.bookingNumber) {
-        const count = await this.constructor.countDocuments();
-        this.bookingNumber = `CH-${Date.now().toString().slice(-6)}-${count + 1}`;
+        this.bookingNumber = await Counter.nextNumber('conference', (number) =>
+            this.constructor.exists({ bookingNumber: number }).withDeleted());
     }
 
     // Calculate discounted amount
@@ -156,4 +167,27 @@ conferenceSchema.virtual('balanceDue').get(function () {
 conferenceSchema.set('toJSON', { virtuals: true });
 conferenceSchema.set('toObject', { virtuals: true });
 
+// Payment ledger hooks (see models/Payment.js)
+conferenceSchema.methods.getAmountDue = function () {
+    return (this.amount || 0) - (this.discount || 0);
+};
+
+conferenceSchema.methods.getLegacyAmountPaid = function () {
+    if (this.advancePaid > 0) return this.advancePaid;
+    return this.paymentStatus === 'paid' ? this.getAmountDue() : 0;
+};
+
+conferenceSchema.methods.applyPaymentTotals = function (totals) {
+    this.advancePaid = Math.max(0, totals.net);
+    const status = derivePaymentStatus(totals, this.getAmountDue());
+    // A cancelled booking stays cancelled until the money is fully refunded
+    if (this.paymentStatus === 'cancelled' && status !== 'refunded') return;
+    this.paymentStatus = status;
+};
+
+conferenceSchema.index({ guest: 1 });
+
+conferenceSchema.plugin(softDelete);
+conferenceSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Conference', conferenceSchema);
\ No newline at end of file
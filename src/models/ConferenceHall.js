@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const conferenceHallSchema = new mongoose.Schema({
     hallId: {
@@ -69,4 +70,6 @@ conferenceHallSchema.virtual('availableToday').get(function () {
     return this.maxDailyBookings - this.currentBookings;
 });
 
+conferenceHallSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('ConferenceHall', conferenceHallSchema);
\ No newline at end of file
@@ -0,0 +1,63 @@
+// models/Counter.js
+const mongoose = require('mongoose');
+const { numberFormats, numberStem } = require('../config/numbering');
+
+// Named sequence, e.g. "invoice:hotel:2026" or "number:RBS-261019"
+const counterSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: [true, 'Key is required'],
+        unique: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// Atomically increment and return the next value (1 for a new key)
+counterSchema.statics.next = async function (key) {
+    const increment = () => this.findOneAndUpdate(
+        { key },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    try {
+        return (await increment()).seq;
+    } catch (error) {
+        // Two first-ever increments can race on the upsert; the loser retries as an update
+        if (error.code === 11000) {
+            return (await increment()).seq;
+        }
+        throw error;
+    }
+};
+
+// Undo next() for a value that ended up unused. Only the latest value can be
+// undone, so the sequence stays in issue order; resolves to whether it was.
+counterSchema.statics.release = async function (key, seq) {
+    const result = await this.updateOne({ key, seq }, { $inc: { seq: -1 } });
+    return result.modifiedCount === 1;
+};
+
+// Next number for a booking type or ticket (see config/numbering.js), e.g.
+// "RBS-261019-0007". The counter is keyed by the number's stem, so a new day
+// or year (or a changed prefix) starts again at 1. `isTaken` lets the caller
+// skip numbers already used by records created before the counter existed.
+counterSchema.statics.nextNumber = async function (bookingType, isTaken) {
+    const numberFormat = numberFormats[bookingType];
+    const stem = numberStem(numberFormat);
+
+    for (;;) {
+        const seq = await this.next(`number:${stem}`);
+        const number = `${stem}-${seq.toString().padStart(numberFormat.digits, '0')}`;
+        if (!isTaken || !(await isTaken(number))) {
+            return number;
+        }
+    }
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const equipmentSchema = new mongoose.Schema({
     name: {
@@ -50,4 +51,6 @@ const equipmentSchema = new mongoose.Schema({
     timestamps: true
 });
 
+equipmentSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Equipment', equipmentSchema);
\ No newline at end of file
@@ -0,0 +1,160 @@
+// models/Guest.js
+// One profile per person, linked from hotel reservations, pool bookings,
+// conference bookings and restaurant sales.
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const { normalizeEmail, normalizePhone } = require('../utils/contact');
+
+// Names the POS uses for anonymous customers; these never create a profile
+const ANONYMOUS_NAMES = ['guest', 'walk-in', 'walk in', 'walk-in customer', 'customer'];
+
+// Same rule as the email field; bookings with anything else are not matched on email
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+
+const guestSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Guest name is required'],
+        trim: true
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        match: [/^$|^\S+@\S+\.\S+$/, 'Please enter a valid email'],
+        default: ''
+    },
+    phone: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // Digits-only phone used for matching
+    normalizedPhone: {
+        type: String,
+        default: ''
+    },
+    company: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    address: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    nationality: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    dateOfBirth: {
+        type: Date
+    },
+    idDocument: {
+        type: {
+            type: String,
+            enum: ['passport', 'national_id', 'driving_license', 'other', ''],
+            default: ''
+        },
+        number: {
+            type: String,
+            trim: true,
+            default: ''
+        },
+        issuingCountry: {
+            type: String,
+            trim: true,
+            default: ''
+        },
+        expiryDate: {
+            type: Date
+        }
+    },
+    // Free-form tags, e.g. "non-smoking", "vegetarian", "high floor"
+    preferences: {
+        type: [String],
+        default: []
+    },
+    notes: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+guestSchema.index({ email: 1 });
+guestSchema.index({ normalizedPhone: 1 });
+guestSchema.index({ name: 'text', email: 'text', phone: 'text', company: 'text' });
+
+guestSchema.pre('save', function () {
+    if (this.isModified('phone')) {
+        this.normalizedPhone = normalizePhone(this.phone);
+    }
+});
+
+// Find the guest a new booking belongs to, creating one if needed.
+// An explicit guestId wins; otherwise match by email, then phone. A malformed
+// email is ignored rather than failing the booking, and no profile is created
+// without a real name. Returns null for anonymous walk-ins (and for an
+// unknown guestId). Call it once the booking itself has been validated.
+guestSchema.statics.resolveForBooking = async function ({ guestId, name, email, phone }, userId) {
+    if (guestId) {
+        return mongoose.isValidObjectId(guestId) ? this.findById(guestId) : null;
+    }
+
+    const emailInput = normalizeEmail(email);
+    const normalizedEmail = EMAIL_PATTERN.test(emailInput) ? emailInput : '';
+    const normalizedPhone = normalizePhone(phone);
+    const cleanName = (name || '').trim();
+    const hasName = !!cleanName && !ANONYMOUS_NAMES.includes(cleanName.toLowerCase());
+
+    if (!normalizedEmail && !normalizedPhone && !hasName) {
+        return null;
+    }
+
+    let guest = null;
+    if (normalizedEmail) {
+        guest = await this.findOne({ email: normalizedEmail });
+    }
+    if (!guest && normalizedPhone) {
+        guest = await this.findOne({ normalizedPhone });
+    }
+
+    if (guest) {
+        // Fill in contact details we did not have yet
+        if (!guest.email && normalizedEmail) guest.email = normalizedEmail;
+        if (!guest.phone && phone) guest.phone = phone;
+        if (guest.isModified()) {
+            guest.updatedBy = userId;
+            await guest.save();
+        }
+        return guest;
+    }
+
+    if (!hasName) {
+        return null;
+    }
+
+    return this.create({
+        name: cleanName,
+        email: normalizedEmail,
+        phone: phone || '',
+        createdBy: userId
+    });
+};
+
+guestSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('Guest', guestSchema);
@@ -0,0 +1,194 @@
+// models/HousekeepingTask.js
+// Cleaning jobs for hotel rooms. A task goes pending -> in_progress ->
+// cleaned -> inspected; passing inspection returns the room to 'available'.
+// Each room has at most one open task at a time.
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+
+const TASK_TYPES = ['checkout', 'scheduled', 'request'];
+const TASK_STATUSES = ['pending', 'in_progress', 'cleaned', 'inspected', 'cancelled'];
+const OPEN_STATUSES = ['pending', 'in_progress', 'cleaned'];
+
+// Days between routine cleanings (Room.nextCleaning)
+const CLEANING_INTERVAL_DAYS = 3;
+
+const housekeepingTaskSchema = new mongoose.Schema({
+    room: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Room',
+        required: true
+    },
+    roomNumber: {
+        type: String,
+        required: true
+    },
+    floor: {
+        type: Number,
+        required: true
+    },
+    // checkout: guest left; scheduled: Room.nextCleaning came due; request: created by a manager
+    type: {
+        type: String,
+        enum: TASK_TYPES,
+        default: 'request'
+    },
+    priority: {
+        type: String,
+        enum: ['low', 'normal', 'high'],
+        default: 'normal'
+    },
+    status: {
+        type: String,
+        enum: TASK_STATUSES,
+        default: 'pending'
+    },
+    // Maintained from status; backs the one-open-task-per-room index
+    open: {
+        type: Boolean,
+        default: true
+    },
+    reservation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Reservation',
+        default: null
+    },
+    notes: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    assignedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    assignedAt: Date,
+    startedAt: Date,
+    startedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    finishedAt: Date,
+    finishedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    inspectedAt: Date,
+    inspectedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Failed inspections send the task back to pending with a note
+    inspectionNotes: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    failedInspections: {
+        type: Number,
+        default: 0
+    },
+    cancelledAt: Date,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+housekeepingTaskSchema.index({ room: 1 }, { unique: true, partialFilterExpression: { open: true } });
+housekeepingTaskSchema.index({ status: 1, floor: 1 });
+housekeepingTaskSchema.index({ assignedTo: 1, status: 1 });
+
+housekeepingTaskSchema.pre('save', function () {
+    this.open = OPEN_STATUSES.includes(this.status);
+});
+
+// Open a cleaning task for a room, or fold the request into the room's open
+// task (a checkout overrides a routine cleaning). Returns the task.
+housekeepingTaskSchema.statics.requestCleaning = async function (room, { type = 'request', priority, reservation = null, notes = '', userId } = {}) {
+    const existing = await this.findOne({ room: room._id, open: true });
+
+    if (existing) {
+        if (type === 'checkout' && existing.type !== 'checkout') {
+            existing.type = 'checkout';
+            existing.priority = 'high';
+            existing.reservation = reservation;
+            // The guest may have used the room since it was cleaned
+            if (existing.status !== 'pending') {
+                existing.status = 'pending';
+            }
+        }
+        if (notes) {
+            existing.notes = existing.notes ? `${existing.notes}\n${notes}` : notes;
+        }
+        if (existing.isModified()) {
+            await existing.save();
+        }
+        return existing;
+    }
+
+    try {
+        return await this.create({
+            room: room._id,
+            roomNumber: room.roomNumber,
+            floor: room.floor,
+            type,
+            priority: priority || (type === 'checkout' ? 'high' : 'normal'),
+            reservation,
+            notes,
+            createdBy: userId
+        });
+    } catch (error) {
+        // Another request opened a task for this room first
+        if (error.code === 11000) {
+            return this.findOne({ room: room._id, open: true });
+        }
+        throw error;
+    }
+};
+
+// Open tasks for rooms whose routine cleaning is due. Rooms under maintenance
+// are skipped. Returns the number of tasks created. Run by the scheduler (no userId).
+housekeepingTaskSchema.statics.scheduleDueCleanings = async function (userId) {
+    const Room = mongoose.model('Room');
+    const openRooms = await this.distinct('room', { open: true });
+    const dueRooms = await Room.find({
+        _id: { $nin: openRooms },
+        isActive: true,
+        status: { $ne: 'maintenance' },
+        nextCleaning: { $lte: new Date() }
+    });
+
+    for (const room of dueRooms) {
+        await this.requestCleaning(room, { type: 'scheduled', userId });
+    }
+    return dueRooms.length;
+};
+
+// Room is clean again: record it and make it available unless a guest or
+// maintenance has it
+housekeepingTaskSchema.methods.releaseRoom = async function () {
+    const room = await mongoose.model('Room').findById(this.room);
+    if (!room) return null;
+
+    room.lastCleaned = new Date();
+    room.nextCleaning = new Date(Date.now() + CLEANING_INTERVAL_DAYS * 24 * 60 * 60 * 1000);
+    if (room.status === 'cleaning') {
+        room.status = 'available';
+    }
+    await room.save();
+    return room;
+};
+
+housekeepingTaskSchema.statics.TASK_STATUSES = TASK_STATUSES;
+housekeepingTaskSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+housekeepingTaskSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('HousekeepingTask', housekeepingTaskSchema);
@@ -0,0 +1,330 @@
+// models/Invoice.js
+// Printable invoice issued from a reservation, pool booking, conference
+// booking or restaurant sale. Lines and totals are a snapshot taken at issue
+// time; if the booking changes, re-issuing voids the old invoice and issues a
+// new number.
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const Counter = require('./Counter');
+const Payment = require('./Payment');
+const { roundMoney } = require('../utils/payments');
+
+// bookingType -> department and invoice number code
+const DEPARTMENTS = {
+    reservation: { department: 'hotel', code: 'HT' },
+    pool: { department: 'pool', code: 'PL' },
+    conference: { department: 'conference', code: 'CH' },
+    sale: { department: 'restaurant', code: 'RS' }
+};
+
+const invoiceLineSchema = new mongoose.Schema({
+    description: {
+        type: String,
+        required: true
+    },
+    date: Date,
+    quantity: {
+        type: Number,
+        default: 1
+    },
+    unitPrice: {
+        type: Number,
+        default: 0
+    },
+    discount: {
+        type: Number,
+        default: 0
+    },
+    tax: {
+        type: Number,
+        default: 0
+    },
+    amount: {
+        type: Number,
+        required: true
+    }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+    // INV-<code>-<year>-<seq>, e.g. INV-HT-2026-0001
+    invoiceNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    department: {
+        type: String,
+        required: true,
+        enum: Object.values(DEPARTMENTS).map(entry => entry.department)
+    },
+    year: {
+        type: Number,
+        required: true
+    },
+    bookingType: {
+        type: String,
+        required: true,
+        enum: Object.keys(DEPARTMENTS)
+    },
+    bookingModel: {
+        type: String,
+        required: true,
+        enum: Object.values(Payment.BOOKING_MODELS)
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'bookingModel',
+        required: true
+    },
+    bookingNumber: {
+        type: String,
+        trim: true
+    },
+    guest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Guest',
+        default: null
+    },
+    billTo: {
+        name: String,
+        company: String,
+        email: String,
+        phone: String
+    },
+    lines: [invoiceLineSchema],
+    subtotal: {
+        type: Number,
+        required: true
+    },
+    discount: {
+        type: Number,
+        default: 0
+    },
+    tax: {
+        type: Number,
+        default: 0
+    },
+    total: {
+        type: Number,
+        required: true
+    },
+    // From the payment ledger at issue time
+    amountPaid: {
+        type: Number,
+        default: 0
+    },
+    balanceDue: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['issued', 'void'],
+        default: 'issued'
+    },
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    voidedAt: Date,
+    voidReason: String,
+    replacedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Invoice'
+    }
+}, {
+    timestamps: true
+});
+
+// One issued invoice per booking; concurrent issues for the same booking lose here
+invoiceSchema.index(
+    { bookingType: 1, booking: 1 },
+    { unique: true, partialFilterExpression: { status: 'issued' } }
+);
+invoiceSchema.index({ department: 1, issuedAt: -1 });
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+// Lines, totals and bill-to details for each booking type
+const BUILDERS = {
+    reservation: (reservation) => {
+        const folio = reservation.getFolio();
+        return {
+            bookingNumber: reservation.reservationNumber,
+            billTo: { name: reservation.guestName, email: reservation.email, phone: reservation.phone },
+            lines: folio.lines
+                .filter(line => !line.voided)
+                .map(line => ({
+                    description: line.description,
+                    date: line.date,
+                    quantity: line.quantity,
+                    unitPrice: line.amount,
+                    amount: line.total
+                })),
+            subtotal: folio.totals.subTotal,
+            discount: folio.totals.discount,
+            tax: folio.totals.tax,
+            total: folio.totals.total
+        };
+    },
+
+    pool: (booking) => {
+        const quantity = booking.passType === 'family' ? 1 : booking.persons;
+        return {
+            bookingNumber: booking.bookingNumber,
+            billTo: { name: booking.customerName, email: booking.email, phone: booking.phone },
+            lines: [{
+                description: `Pool ${booking.passType} pass, ${booking.timeSlot} on ${formatDate(booking.date)}` +
+                    (booking.passType === 'family' ? ` (${booking.persons} persons)` : ''),
+                date: booking.date,
+                quantity,
+                unitPrice: roundMoney(booking.subtotal / quantity),
+                amount: booking.subtotal
+            }],
+            subtotal: booking.subtotal,
+            discount: booking.discount || 0,
+            tax: 0,
+            total: booking.amount
+        };
+    },
+
+    conference: (booking) => ({
+        bookingNumber: booking.bookingNumber,
+        billTo: { name: booking.clientName, company: booking.company, email: booking.email, phone: booking.phone },
+        lines: [{
+            description: `${booking.hallType} hall - ${booking.eventName} (${formatDate(booking.startDate)} to ${formatDate(booking.endDate)}, ${booking.attendees} attendees)`,
+            date: booking.startDate,
+            quantity: 1,
+            unitPrice: booking.amount,
+            amount: booking.amount
+        }],
+        subtotal: booking.amount,
+        discount: booking.discount || 0,
+        tax: 0,
+        total: booking.getAmountDue()
+    }),
+
+    sale: (sale) => ({
+        bookingNumber: sale.saleNumber,
+        billTo: { name: sale.customerName, email: sale.customerEmail, phone: sale.customerPhone },
+        lines: sale.items.map(item => ({
+            description: item.name,
+            date: sale.createdAt,
+            quantity: item.quantity,
+            unitPrice: item.unitPrice,
+            discount: item.discount || 0,
+            tax: roundMoney(item.total - item.subtotal + (item.discount || 0)),
+            amount: item.total
+        })),
+        subtotal: sale.subtotal,
+        discount: sale.discountTotal || 0,
+        tax: sale.taxTotal || 0,
+        total: sale.totalAmount
+    })
+};
+
+// Same content as what is already on the invoice?
+const sameContent = (invoice, draft) =>
+    invoice.total === roundMoney(draft.total) &&
+    JSON.stringify(invoice.lines.map(line => [line.description, line.quantity, line.amount])) ===
+    JSON.stringify(draft.lines.map(line => [line.description, line.quantity, roundMoney(line.amount)]));
+
+// The booking's issued invoice, and whether it still matches the booking.
+// Returns { invoice: null } when none has been issued. Read-only.
+invoiceSchema.statics.currentForBooking = async function (bookingType, booking) {
+    const invoice = await this.findOne({ bookingType, booking: booking._id, status: 'issued' });
+    return {
+        invoice,
+        upToDate: !!invoice && sameContent(invoice, BUILDERS[bookingType](booking))
+    };
+};
+
+// Issue (or return the current) invoice for a booking.
+// Returns { invoice, created }. Numbers follow issue order without gaps: the
+// invoice is validated before its number is taken, and a number whose insert
+// still fails is released if no later one has been taken.
+invoiceSchema.statics.issueForBooking = async function (bookingType, booking, userId) {
+    const draft = BUILDERS[bookingType](booking);
+    const current = await this.findOne({ bookingType, booking: booking._id, status: 'issued' });
+
+    if (current && sameContent(current, draft)) {
+        return { invoice: current, created: false };
+    }
+
+    const { department, code } = DEPARTMENTS[bookingType];
+    const year = new Date().getFullYear();
+    const counterKey = `invoice:${department}:${year}`;
+    const totals = await Payment.getTotals(bookingType, booking._id);
+    const total = roundMoney(draft.total);
+
+    const invoice = new this({
+        department,
+        year,
+        bookingType,
+        bookingModel: Payment.BOOKING_MODELS[bookingType],
+        booking: booking._id,
+        bookingNumber: draft.bookingNumber,
+        guest: booking.guest || null,
+        billTo: draft.billTo,
+        lines: draft.lines.map(line => ({ ...line, amount: roundMoney(line.amount) })),
+        subtotal: roundMoney(draft.subtotal),
+        discount: roundMoney(draft.discount),
+        tax: roundMoney(draft.tax),
+        total,
+        amountPaid: totals.net,
+        balanceDue: roundMoney(total - totals.net),
+        issuedBy: userId
+    });
+    await invoice.validate({ pathsToSkip: ['invoiceNumber'] });
+
+    // Only one invoice per booking can be issued, so the old one is voided first
+    if (current) {
+        current.status = 'void';
+        current.voidedAt = new Date();
+        await current.save();
+    }
+
+    let seq = null;
+    try {
+        seq = await Counter.next(counterKey);
+        invoice.invoiceNumber = `INV-${code}-${year}-${seq.toString().padStart(4, '0')}`;
+        await invoice.save();
+    } catch (error) {
+        if (seq !== null) {
+            await Counter.release(counterKey, seq);
+        }
+
+        // A concurrent request issued this booking's invoice first
+        if (error.code === 11000) {
+            const winner = await this.findOne({ bookingType, booking: booking._id, status: 'issued' });
+            if (winner) {
+                return { invoice: winner, created: false };
+            }
+        }
+        if (current) {
+            current.status = 'issued';
+            current.voidedAt = undefined;
+            await current.save();
+        }
+        throw error;
+    }
+
+    // The booking changed since the last invoice; keep the old one for the record
+    if (current) {
+        current.voidReason = `Replaced by ${invoice.invoiceNumber}`;
+        current.replacedBy = invoice._id;
+        await current.save();
+    }
+
+    return { invoice, created: true };
+};
+
+invoiceSchema.statics.DEPARTMENTS = DEPARTMENTS;
+
+invoiceSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
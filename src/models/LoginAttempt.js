@@ -0,0 +1,53 @@
+// models/LoginAttempt.js
+const mongoose = require('mongoose');
+
+// Failed login counter per key ("user:<username>" or "ip:<address>")
+const loginAttemptSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: [true, 'Key is required'],
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    lastAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry date is required']
+    }
+}, {
+    timestamps: true
+});
+
+// Counters disappear once their window has passed
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Record a failed attempt and return the updated counter
+loginAttemptSchema.statics.registerFailure = async function (key, windowMs) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + windowMs);
+
+    // TTL cleanup runs only once a minute, so restart stale counters ourselves
+    await this.deleteOne({ key, expiresAt: { $lte: now } });
+
+    return this.findOneAndUpdate(
+        { key },
+        { $inc: { count: 1 }, $set: { lastAttemptAt: now, expiresAt } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+loginAttemptSchema.statics.getActive = function (key) {
+    return this.findOne({ key, expiresAt: { $gt: new Date() } });
+};
+
+loginAttemptSchema.statics.clear = function (key) {
+    return this.deleteOne({ key });
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
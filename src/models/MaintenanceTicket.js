@@ -0,0 +1,191 @@
+// models/MaintenanceTicket.js
+// Repair work order for a hotel room. A ticket that blocks the room takes it
+// out of order from outOfOrderFrom until outOfOrderUntil (or until resolved
+// when no end is set); reservations cannot be made for those dates.
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const Counter = require('./Counter');
+
+const CATEGORIES = ['plumbing', 'electrical', 'hvac', 'furniture', 'appliance', 'structural', 'other'];
+const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const STATUSES = ['open', 'in_progress', 'resolved', 'cancelled'];
+const ACTIVE_STATUSES = ['open', 'in_progress'];
+
+const maintenanceTicketSchema = new mongoose.Schema({
+    ticketNumber: {
+        type: String,
+        unique: true
+    },
+    room: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Room',
+        required: true
+    },
+    roomNumber: {
+        type: String,
+        required: true
+    },
+    floor: Number,
+    issue: {
+        type: String,
+        required: [true, 'Issue is required'],
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    category: {
+        type: String,
+        enum: CATEGORIES,
+        default: 'other'
+    },
+    priority: {
+        type: String,
+        enum: PRIORITIES,
+        default: 'normal'
+    },
+    status: {
+        type: String,
+        enum: STATUSES,
+        default: 'open'
+    },
+    reportedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    assignedAt: Date,
+    expectedFixDate: Date,
+    // Out-of-order period; only tickets with blocksRoom take the room off sale
+    blocksRoom: {
+        type: Boolean,
+        default: false
+    },
+    outOfOrderFrom: Date,
+    outOfOrderUntil: {
+        type: Date,
+        default: null
+    },
+    startedAt: Date,
+    resolvedAt: Date,
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    resolution: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    cancelledAt: Date,
+    cancelReason: {
+        type: String,
+        trim: true,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+maintenanceTicketSchema.index({ roomNumber: 1, blocksRoom: 1, status: 1 });
+maintenanceTicketSchema.index({ status: 1, priority: 1 });
+
+maintenanceTicketSchema.pre('validate', function () {
+    if (this.blocksRoom) {
+        if (!this.outOfOrderFrom) {
+            this.outOfOrderFrom = new Date();
+        }
+        // Without an explicit end the room is out until the expected fix date
+        if (!this.outOfOrderUntil && this.expectedFixDate && this.isModified('expectedFixDate')) {
+            this.outOfOrderUntil = this.expectedFixDate;
+        }
+        if (this.outOfOrderUntil && this.outOfOrderUntil <= this.outOfOrderFrom) {
+            this.invalidate('outOfOrderUntil', 'Out-of-order end must be after its start');
+        }
+    }
+});
+
+maintenanceTicketSchema.pre('save', async function () {
+    if (!this.ticketNumber) {
+        this.ticketNumber = await Counter.nextNumber('maintenance', (number) =>
+            this.constructor.exists({ ticketNumber: number }));
+    }
+});
+
+// Filter for tickets keeping rooms out of order at any time in [from, to)
+maintenanceTicketSchema.statics.blockingFilter = function (from, to) {
+    return {
+        blocksRoom: true,
+        status: { $in: ACTIVE_STATUSES },
+        outOfOrderFrom: { $lt: new Date(to) },
+        $or: [
+            { outOfOrderUntil: null },
+            { outOfOrderUntil: { $gt: new Date(from) } }
+        ]
+    };
+};
+
+// First ticket keeping the room out of order during a stay, or null
+maintenanceTicketSchema.statics.findBlocking = function (roomNumber, from, to) {
+    return this.findOne({ roomNumber, ...this.blockingFilter(from, to) })
+        .sort({ outOfOrderFrom: 1 })
+        .select('ticketNumber roomNumber issue outOfOrderFrom outOfOrderUntil');
+};
+
+// Put the room into 'maintenance' while a ticket has it out of order right
+// now, and hand it to housekeeping once the last such ticket has ended
+maintenanceTicketSchema.statics.syncRoomStatus = async function (roomNumber, userId) {
+    const room = await mongoose.model('Room').findOne({ roomNumber });
+    if (!room) return null;
+
+    const now = new Date();
+    const current = await this.findBlocking(roomNumber, now, new Date(now.getTime() + 1));
+
+    if (current && room.status !== 'maintenance' && room.status !== 'occupied') {
+        room.status = 'maintenance';
+        await room.save();
+    } else if (!current && room.status === 'maintenance') {
+        room.status = 'cleaning';
+        await room.save();
+        await mongoose.model('HousekeepingTask').requestCleaning(room, { type: 'request', notes: 'Cleaning after maintenance', userId });
+    }
+    return room;
+};
+
+// Scheduled (config/scheduler.js): planned out-of-order periods that have
+// started or ended since tickets were last touched. Returns the rooms checked.
+maintenanceTicketSchema.statics.syncRoomStatuses = async function () {
+    const now = new Date();
+    const roomNumbers = await this.distinct('roomNumber', {
+        blocksRoom: true,
+        status: { $in: ACTIVE_STATUSES },
+        outOfOrderFrom: { $lte: now }
+    });
+
+    for (const roomNumber of roomNumbers) {
+        await this.syncRoomStatus(roomNumber);
+    }
+    return roomNumbers.length;
+};
+
+// Human readable "out of order" message for a blocking ticket
+maintenanceTicketSchema.methods.blockingMessage = function () {
+    const day = (date) => date.toISOString().slice(0, 10);
+    const until = this.outOfOrderUntil ? ` until ${day(this.outOfOrderUntil)}` : ' until further notice';
+    return `Room ${this.roomNumber} is out of order from ${day(this.outOfOrderFrom)}${until} (${this.ticketNumber}: ${this.issue})`;
+};
+
+maintenanceTicketSchema.statics.CATEGORIES = CATEGORIES;
+maintenanceTicketSchema.statics.PRIORITIES = PRIORITIES;
+maintenanceTicketSchema.statics.STATUSES = STATUSES;
+maintenanceTicketSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+maintenanceTicketSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('MaintenanceTicket', maintenanceTicketSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const menuItemSchema = new mongoose.Schema({
     name: {
@@ -88,4 +89,6 @@ const menuItemSchema = new mongoose.Schema({
 // Index for search
 menuItemSchema.index({ name: 'text', description: 'text' });
 
+menuItemSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('MenuItem', menuItemSchema);
\ No newline at end of file
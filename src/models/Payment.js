@@ -0,0 +1,264 @@
+// models/Payment.js
+// Ledger of money received against reservations, pool bookings, conference
+// bookings and restaurant sales. Refunds are negative entries; entries are
+// never edited or deleted, mistakes are corrected with a refund.
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const { roundMoney } = require('../utils/payments');
+
+// bookingType -> model name
+const BOOKING_MODELS = {
+    reservation: 'Reservation',
+    pool: 'Pool',
+    conference: 'Conference',
+    sale: 'Sale'
+};
+
+const PAYMENT_METHODS = ['cash', 'card', 'upi', 'bank_transfer', 'cheque', 'room_charge', 'other'];
+
+const paymentSchema = new mongoose.Schema({
+    bookingType: {
+        type: String,
+        required: true,
+        enum: Object.keys(BOOKING_MODELS)
+    },
+    bookingModel: {
+        type: String,
+        required: true,
+        enum: Object.values(BOOKING_MODELS)
+    },
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'bookingModel',
+        required: true
+    },
+    // Reservation/booking/sale number at the time of payment
+    bookingNumber: {
+        type: String,
+        trim: true
+    },
+    guest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Guest',
+        default: null
+    },
+    // Negative for refunds
+    amount: {
+        type: Number,
+        required: [true, 'Amount is required'],
+        validate: {
+            validator: (amount) => amount !== 0,
+            message: 'Amount cannot be zero'
+        }
+    },
+    method: {
+        type: String,
+        enum: PAYMENT_METHODS,
+        default: 'cash'
+    },
+    reference: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    notes: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    receivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+paymentSchema.index({ bookingType: 1, booking: 1, receivedAt: 1 });
+paymentSchema.index({ receivedAt: -1 });
+// At most one opening-balance entry per booking, however many first writes race
+paymentSchema.index(
+    { bookingType: 1, booking: 1 },
+    { unique: true, partialFilterExpression: { reference: 'opening-balance' } }
+);
+
+paymentSchema.virtual('type').get(function () {
+    return this.amount < 0 ? 'refund' : 'payment';
+});
+
+paymentSchema.set('toJSON', { virtuals: true });
+paymentSchema.set('toObject', { virtuals: true });
+
+paymentSchema.statics.BOOKING_MODELS = BOOKING_MODELS;
+paymentSchema.statics.PAYMENT_METHODS = PAYMENT_METHODS;
+
+// Sums for one booking: { paid, refunded, net, count }
+paymentSchema.statics.getTotals = async function (bookingType, bookingId) {
+    const [totals] = await this.aggregate([
+        { $match: { bookingType, booking: new mongoose.Types.ObjectId(String(bookingId)) } },
+        {
+            $group: {
+                _id: null,
+                paid: { $sum: { $cond: [{ $gt: ['$amount', 0] }, '$amount', 0] } },
+                refunded: { $sum: { $cond: [{ $lt: ['$amount', 0] }, { $abs: '$amount' }, 0] } },
+                count: { $sum: 1 }
+            }
+        }
+    ]);
+
+    const paid = roundMoney(totals ? totals.paid : 0);
+    const refunded = roundMoney(totals ? totals.refunded : 0);
+    return { paid, refunded, net: roundMoney(paid - refunded), count: totals ? totals.count : 0 };
+};
+
+const getBookingNumber = (booking) =>
+    booking.reservationNumber || booking.bookingNumber || booking.saleNumber || '';
+
+// Bookings taken before the ledger only have a status flag or a paid amount;
+// carry that over as one opening entry the first time the ledger is written
+// to. Reads never do this (see getSummary).
+const ensureOpeningBalance = async (Payment, bookingType, booking) => {
+    const exists = await Payment.exists({ bookingType, booking: booking._id });
+    if (exists) return;
+
+    const opening = roundMoney(booking.getLegacyAmountPaid());
+    if (opening > 0) {
+        await Payment.create({
+            bookingType,
+            bookingModel: BOOKING_MODELS[bookingType],
+            booking: booking._id,
+            bookingNumber: getBookingNumber(booking),
+            guest: booking.guest || null,
+            amount: opening,
+            method: 'other',
+            reference: 'opening-balance',
+            notes: 'Amount recorded before the payment ledger',
+            receivedAt: booking.updatedAt || booking.createdAt || new Date()
+        }).catch((error) => {
+            // A concurrent write carried it over first
+            if (error.code !== 11000) throw error;
+        });
+    }
+};
+
+// Re-derive the booking's payment status (and cached paid amount) from the ledger.
+// The caller saves the booking.
+paymentSchema.statics.syncBooking = async function (bookingType, booking) {
+    await ensureOpeningBalance(this, bookingType, booking);
+    const totals = await this.getTotals(bookingType, booking._id);
+    booking.applyPaymentTotals(totals);
+    return totals;
+};
+
+// Add a ledger entry and re-derive the booking's status; the caller saves the booking
+paymentSchema.statics.recordForBooking = async function (bookingType, booking, { amount, method, reference, notes, receivedBy, receivedAt }) {
+    await ensureOpeningBalance(this, bookingType, booking);
+
+    const payment = await this.create({
+        bookingType,
+        bookingModel: BOOKING_MODELS[bookingType],
+        booking: booking._id,
+        bookingNumber: getBookingNumber(booking),
+        guest: booking.guest || null,
+        amount: roundMoney(amount),
+        method: method || 'cash',
+        reference,
+        notes,
+        receivedBy,
+        receivedAt
+    });
+
+    await this.syncBooking(bookingType, booking);
+    return payment;
+};
+
+// Ledger view of a booking for API responses. Read-only: a booking not on the
+// ledger yet shows its legacy paid amount as the opening balance it will get.
+paymentSchema.statics.getSummary = async function (bookingType, booking) {
+    const totals = await this.getTotals(bookingType, booking._id);
+    const opening = totals.count === 0 ? Math.max(0, roundMoney(booking.getLegacyAmountPaid())) : 0;
+    const paid = roundMoney(totals.paid + opening);
+    const net = roundMoney(totals.net + opening);
+    const amountDue = roundMoney(booking.getAmountDue());
+    return {
+        amountDue,
+        paid,
+        refunded: totals.refunded,
+        net,
+        balance: roundMoney(amountDue - net),
+        paymentStatus: booking.paymentStatus
+    };
+};
+
+// Status endpoints used to set the flag directly; now a status request is
+// turned into ledger entries. Returns an error message or null; the caller
+// saves the booking.
+paymentSchema.statics.applyStatus = async function (bookingType, booking, status, { method, reference, receivedBy } = {}) {
+    const totals = await this.syncBooking(bookingType, booking);
+    const balance = roundMoney(booking.getAmountDue() - totals.net);
+
+    switch (status) {
+        case 'paid':
+        case 'confirmed':
+            // Settling a cancelled booking reinstates it
+            if (['cancelled', 'refunded'].includes(booking.paymentStatus)) {
+                booking.paymentStatus = 'pending';
+            }
+            if (balance > 0) {
+                await this.recordForBooking(bookingType, booking, {
+                    amount: balance,
+                    method,
+                    reference,
+                    notes: `Balance settled on status change to ${status}`,
+                    receivedBy
+                });
+            } else {
+                booking.applyPaymentTotals(totals);
+            }
+            return null;
+
+        case 'refunded':
+            if (totals.net > 0) {
+                await this.recordForBooking(bookingType, booking, {
+                    amount: -totals.net,
+                    method,
+                    reference,
+                    notes: 'Full refund on status change to refunded',
+                    receivedBy
+                });
+            }
+            booking.paymentStatus = 'refunded';
+            return null;
+
+        case 'cancelled':
+            // Cancelling does not move money; refunds are recorded separately
+            booking.paymentStatus = 'cancelled';
+            return null;
+
+        case 'pending':
+            if (totals.net > 0) {
+                return `${totals.net} has already been received; record a refund instead`;
+            }
+            booking.paymentStatus = 'pending';
+            booking.applyPaymentTotals(totals);
+            return null;
+
+        case 'partial':
+            if (totals.net <= 0 || balance <= 0) {
+                return 'Status partial needs a recorded payment that is less than the amount due; record a payment instead';
+            }
+            booking.paymentStatus = 'partial';
+            return null;
+
+        default:
+            return 'Invalid payment status';
+    }
+};
+
+paymentSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('Payment', paymentSchema);
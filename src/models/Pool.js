@@ -1,6 +1,16 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const softDelete = require('./plugins/softDelete');
+const Counter = require('./Counter');
+const { derivePaymentStatus } = require('../utils/payments');
 
 const poolSchema = new mongoose.Schema({
+    // Shared guest profile (matched or created on booking)
+    guest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Guest',
+        default: null
+    },
     customerName: {
         type: String,
         required: [true, 'Customer name is required'],
@@ -54,7 +64,7 @@ const poolSchema = new mongoose.Schema({
     },
     paymentStatus: {
         type: String,
-        enum: ['paid', 'pending', 'cancelled'],
+        enum: ['paid', 'partial', 'pending', 'cancelled'],
         default: 'pending'
     },
     bookingNumber: {
@@ -84,9 +94,30 @@ const poolSchema = new mongoose.Schema({
 // Generate booking number before saving
 poolSchema.pre('save', async function () {
     if (!this.bookingNumber) {
-        const count = await this.constructor.countDocuments();
-        this.bookingNumber = `PB-${Date.now().toString().slice(-6)}-${count + 1}`;
+        this.bookingNumber = await Counter.nextNumber('pool', (number) =>
+            this.constructor.exists({ bookingNumber: number }).withDeleted());
     }
 });
 
+// Payment ledger hooks (see models/Payment.js)
+poolSchema.methods.getAmountDue = function () {
+    return this.amount;
+};
+
+poolSchema.methods.getLegacyAmountPaid = function () {
+    return this.paymentStatus === 'paid' ? this.amount : 0;
+};
+
+// 'cancelled' also frees the slot, so the ledger never overrides it
+poolSchema.methods.applyPaymentTotals = function (totals) {
+    if (this.paymentStatus === 'cancelled') return;
+    const status = derivePaymentStatus(totals, this.getAmountDue());
+    this.paymentStatus = status === 'refunded' ? 'pending' : status;
+};
+
+poolSchema.index({ guest: 1 });
+
+poolSchema.plugin(softDelete);
+poolSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Pool', poolSchema);
\ No newline at end of file
@@ -1,7 +1,18 @@
 // models/Reservation.js
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const softDelete = require('./plugins/softDelete');
+const Counter = require('./Counter');
+const { roundMoney, derivePaymentStatus } = require('../utils/payments');
+const { nightsBetween } = require('../utils/nights');
 
 const reservationSchema = new mongoose.Schema({
+    // Shared guest profile (matched or created on booking)
+    guest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Guest',
+        default: null
+    },
     guestName: {
         type: String,
         required: [true, 'Guest name is required'],
@@ -41,34 +52,81 @@ const reservationSchema = new mongoose.Schema({
         type: String,
         required: [true, 'Room number is required']
     },
+    // Room capacity comes from RoomType.maxOccupancy, checked when booking
     adults: {
         type: Number,
         required: [true, 'Number of adults is required'],
-        min: [1, 'At least 1 adult required'],
-        max: [4, 'Maximum 4 adults per room']
+        min: [1, 'At least 1 adult required']
     },
     children: {
         type: Number,
         default: 0,
-        min: [0, 'Children cannot be negative'],
-        max: [3, 'Maximum 3 children per room']
+        min: [0, 'Children cannot be negative']
     },
     totalNights: {
         type: Number,
         required: [true, 'Total nights is required']
     },
+    // Average nightly rate; the nights themselves are priced in nightlyRates
     roomRate: {
         type: Number,
         required: [true, 'Room rate is required']
     },
+    // Rate plan code the stay was booked on (RoomType.ratePlans); null for the standard rate
+    ratePlan: {
+        type: String,
+        default: null
+    },
+    // Price of each night as booked, so later rate changes leave the booking alone.
+    // Empty on reservations made before nightly pricing; those charge roomRate per night.
+    nightlyRates: [{
+        _id: false,
+        date: String, // YYYY-MM-DD
+        baseRate: Number, // room rate for the night
+        surcharge: { // extra adults/children beyond the room type's base occupancy
+            type: Number,
+            default: 0
+        },
+        rate: Number, // baseRate + surcharge
+        label: String // season or plan the rate came from
+    }],
+    // Folio postings on top of the booked room nights. Voided postings stay for the record.
     extraCharges: [{
-        service: String,
-        amount: Number,
+        type: {
+            type: String,
+            enum: ['room_night', 'service', 'restaurant', 'other'],
+            default: 'service'
+        },
+        service: String, // description shown on the folio
+        serviceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Service'
+        },
+        // Restaurant sale charged to the room
+        sale: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Sale'
+        },
+        amount: Number, // unit price
         quantity: Number,
         date: {
             type: Date,
             default: Date.now
-        }
+        },
+        postedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        voided: {
+            type: Boolean,
+            default: false
+        },
+        voidedAt: Date,
+        voidedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        voidReason: String
     }],
     subTotal: {
         type: Number,
@@ -86,6 +144,12 @@ const reservationSchema = new mongoose.Schema({
         type: Number,
         required: [true, 'Total amount is required']
     },
+    // Net of the payment ledger (see models/Payment.js), cached on every sync.
+    // Unset on reservations made before folios existed; see getAmountPaid()
+    amountPaid: {
+        type: Number,
+        min: [0, 'Amount paid cannot be negative']
+    },
     paymentStatus: {
         type: String,
         enum: ['paid', 'pending', 'partial'],
@@ -123,9 +187,196 @@ const reservationSchema = new mongoose.Schema({
 // Generate reservation number before saving
 reservationSchema.pre('save', async function () {
     if (!this.reservationNumber) {
-        const count = await this.constructor.countDocuments();
-        this.reservationNumber = `HR-${Date.now().toString().slice(-6)}-${count + 1}`;
+        this.reservationNumber = await Counter.nextNumber('reservation', (number) =>
+            this.constructor.exists({ reservationNumber: number }).withDeleted());
     }
 });
 
+reservationSchema.index({ guest: 1 });
+reservationSchema.index({ checkIn: 1, checkOut: 1 });
+
+
+// Nights as booked: the stored breakdown, or roomRate for every night on older reservations
+reservationSchema.methods.getNightlyRates = function () {
+    if (this.nightlyRates && this.nightlyRates.length) {
+        return this.nightlyRates.map(night => ({
+            date: night.date,
+            baseRate: night.baseRate !== undefined && night.baseRate !== null ? night.baseRate : night.rate,
+            surcharge: night.surcharge || 0,
+            rate: night.rate,
+            label: night.label
+        }));
+    }
+    return nightsBetween(this.checkIn, this.checkOut)
+        .map(date => ({ date, baseRate: this.roomRate, surcharge: 0, rate: this.roomRate, label: 'Standard' }));
+};
+
+reservationSchema.methods.getRoomCharges = function () {
+    if (this.nightlyRates && this.nightlyRates.length) {
+        return roundMoney(this.nightlyRates.reduce((sum, night) => sum + night.rate, 0));
+    }
+    return roundMoney(this.roomRate * this.totalNights);
+};
+
+// Price the stay's nights from the room type's current rates. Nights found in
+// `booked` (from getNightlyRates) keep the room rate they were booked at, and
+// their surcharge too unless the party changed (occupancyChanged). The caller
+// recalculates totals.
+reservationSchema.methods.priceStay = function (roomType, booked = [], { occupancyChanged = false } = {}) {
+    const bookedByDate = new Map(booked.map(night => [night.date, night]));
+    const occupancy = { adults: this.adults, children: this.children || 0 };
+    const nights = roomType.priceNights(this.checkIn, this.checkOut, this.ratePlan, occupancy)
+        .map(night => {
+            const kept = bookedByDate.get(night.date);
+            if (!kept) return night;
+            const surcharge = occupancyChanged ? night.surcharge : kept.surcharge;
+            return { ...kept, surcharge, rate: roundMoney(kept.baseRate + surcharge) };
+        });
+
+    this.nightlyRates = nights;
+    this.totalNights = nights.length;
+    this.roomRate = nights.length
+        ? roundMoney(nights.reduce((sum, night) => sum + night.rate, 0) / nights.length)
+        : 0;
+};
+
+// Sum of non-voided folio postings
+reservationSchema.methods.getExtraChargesTotal = function () {
+    return this.extraCharges
+        .filter(charge => !charge.voided)
+        .reduce((sum, charge) => sum + (charge.amount * (charge.quantity || 1)), 0);
+};
+
+// Recompute subTotal/totalAmount from room nights and active postings
+reservationSchema.methods.recalculateTotals = function () {
+    const subTotal = roundMoney(this.getRoomCharges() + this.getExtraChargesTotal());
+    this.subTotal = subTotal;
+    this.discount = Math.max(0, Math.min(this.discount || 0, subTotal));
+    this.tax = 0; // no tax
+    this.totalAmount = roundMoney(subTotal - this.discount + this.tax);
+};
+
+reservationSchema.methods.getAmountPaid = function () {
+    if (this.amountPaid !== undefined && this.amountPaid !== null) {
+        return this.amountPaid;
+    }
+    // Older reservations only have the status flag
+    return this.paymentStatus === 'paid' ? this.totalAmount : 0;
+};
+
+// Keep the status flag in line with the folio balance
+reservationSchema.methods.syncPaymentStatus = function () {
+    const status = derivePaymentStatus({ net: this.getAmountPaid() }, this.totalAmount);
+    this.paymentStatus = status === 'refunded' ? 'pending' : status;
+};
+
+// Payment ledger hooks (see models/Payment.js)
+reservationSchema.methods.getAmountDue = function () {
+    return this.totalAmount;
+};
+
+reservationSchema.methods.getLegacyAmountPaid = function () {
+    return this.getAmountPaid();
+};
+
+reservationSchema.methods.applyPaymentTotals = function ({ net }) {
+    this.amountPaid = Math.max(0, net);
+    this.syncPaymentStatus();
+};
+
+// Add a folio posting and update totals; the caller saves.
+// Older reservations only carry the status flag, so what was paid is pinned first.
+reservationSchema.methods.postCharge = function (charge) {
+    this.amountPaid = this.getAmountPaid();
+    this.extraCharges.push(charge);
+    this.recalculateTotals();
+    this.syncPaymentStatus();
+    return this.extraCharges[this.extraCharges.length - 1];
+};
+
+// Void a folio posting (kept for the record) and update totals; the caller saves
+reservationSchema.methods.voidCharge = function (charge, userId, reason) {
+    this.amountPaid = this.getAmountPaid();
+    charge.voided = true;
+    charge.voidedAt = new Date();
+    charge.voidedBy = userId;
+    charge.voidReason = reason;
+    this.recalculateTotals();
+    this.syncPaymentStatus();
+    return charge;
+};
+
+// Itemized folio with running balance
+reservationSchema.methods.getFolio = function () {
+    const roomCharges = this.getRoomCharges();
+
+    // One line per rate: nights booked at the same price are grouped
+    const rates = new Map();
+    for (const night of this.getNightlyRates()) {
+        const key = `${night.rate}|${night.surcharge}|${night.label}`;
+        if (!rates.has(key)) {
+            rates.set(key, { ...night, nights: 0 });
+        }
+        rates.get(key).nights++;
+    }
+    const lines = [...rates.values()].map(rate => ({
+        type: 'room',
+        description: (rates.size > 1 || rate.label !== 'Standard'
+            ? `Room ${this.roomNumber} (${this.roomType}) - ${rate.label} - ${rate.nights} night(s) @ ${rate.rate}`
+            : `Room ${this.roomNumber} (${this.roomType}) - ${rate.nights} night(s) @ ${rate.rate}`) +
+            (rate.surcharge > 0 ? ` incl. ${rate.surcharge} extra-guest surcharge` : ''),
+        date: new Date(rate.date),
+        amount: rate.rate,
+        quantity: rate.nights,
+        total: roundMoney(rate.rate * rate.nights),
+        voided: false
+    }));
+
+    for (const charge of this.extraCharges) {
+        lines.push({
+            _id: charge._id,
+            type: charge.type || 'service',
+            description: charge.service,
+            date: charge.date,
+            amount: charge.amount,
+            quantity: charge.quantity || 1,
+            total: roundMoney(charge.amount * (charge.quantity || 1)),
+            postedBy: charge.postedBy,
+            voided: !!charge.voided,
+            voidedAt: charge.voidedAt,
+            voidedBy: charge.voidedBy,
+            voidReason: charge.voidReason
+        });
+    }
+
+    const extraCharges = roundMoney(this.getExtraChargesTotal());
+    const subTotal = roundMoney(roomCharges + extraCharges);
+    const discount = Math.max(0, Math.min(this.discount || 0, subTotal));
+    const tax = this.tax || 0;
+    const total = roundMoney(subTotal - discount + tax);
+    const paid = this.getAmountPaid();
+
+    return {
+        reservationId: this._id,
+        reservationNumber: this.reservationNumber,
+        guestName: this.guestName,
+        roomNumber: this.roomNumber,
+        status: this.reservationStatus,
+        lines,
+        totals: {
+            roomCharges,
+            extraCharges,
+            subTotal,
+            discount,
+            tax,
+            total,
+            paid,
+            balance: roundMoney(total - paid)
+        }
+    };
+};
+
+reservationSchema.plugin(softDelete);
+reservationSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Reservation', reservationSchema);
\ No newline at end of file
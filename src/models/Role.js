@@ -0,0 +1,117 @@
+// models/Role.js
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const { DEFAULT_ROLES, isValidPermission } = require('../config/permissions');
+
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Role name is required'],
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z][a-z0-9_]*$/, 'Role name may only contain lowercase letters, numbers and underscores']
+    },
+    displayName: {
+        type: String,
+        required: [true, 'Display name is required'],
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    permissions: {
+        type: [String],
+        default: [],
+        validate: {
+            validator: (permissions) => permissions.every(isValidPermission),
+            message: 'Role contains unknown permissions'
+        }
+    },
+    // Built-in roles cannot be deleted or renamed
+    isSystem: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    // Members must enroll in TOTP two-factor login before they can use the app
+    requireTwoFactor: {
+        type: Boolean,
+        default: false
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Short in-process cache of role names -> merged settings, cleared on every role change
+const CACHE_TTL_MS = 60 * 1000;
+let permissionCache = new Map();
+
+roleSchema.statics.clearPermissionCache = function () {
+    permissionCache = new Map();
+};
+
+const loadRoleSettings = async (Role, roleNames) => {
+    const key = [...roleNames].sort().join(',');
+    const cached = permissionCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached;
+    }
+
+    const roles = await Role.find({ name: { $in: roleNames }, isActive: true }).lean();
+    const settings = {
+        permissions: [...new Set(roles.flatMap(role => role.permissions))],
+        requireTwoFactor: roles.some(role => role.requireTwoFactor),
+        expiresAt: Date.now() + CACHE_TTL_MS
+    };
+
+    permissionCache.set(key, settings);
+    return settings;
+};
+
+// Merged permission list for a set of role names
+roleSchema.statics.getPermissionsFor = async function (roleNames) {
+    return (await loadRoleSettings(this, roleNames)).permissions;
+};
+
+// Does any of these roles require two-factor authentication?
+roleSchema.statics.requiresTwoFactor = async function (roleNames) {
+    return (await loadRoleSettings(this, roleNames)).requireTwoFactor;
+};
+
+// Create built-in roles that are missing; never overwrite admin edits
+roleSchema.statics.ensureDefaultRoles = async function () {
+    let created = 0;
+    for (const roleData of DEFAULT_ROLES) {
+        const exists = await this.exists({ name: roleData.name });
+        if (!exists) {
+            await this.create({ ...roleData, isSystem: true });
+            created++;
+        }
+    }
+    if (created > 0) {
+        this.clearPermissionCache();
+    }
+    return created;
+};
+
+roleSchema.post('save', function () {
+    this.constructor.clearPermissionCache();
+});
+
+roleSchema.post('deleteOne', { document: true, query: false }, function () {
+    this.constructor.clearPermissionCache();
+});
+
+roleSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -1,5 +1,6 @@
 // models/Room.js - UPDATED
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const roomSchema = new mongoose.Schema({
     roomNumber: {
@@ -16,6 +17,8 @@ const roomSchema = new mongoose.Schema({
         required: [true, 'Floor is required'],
         min: [1, 'Floor must be at least 1']
     },
+    // Physical/housekeeping state right now: 'occupied' is set at check-in and
+    // cleared at check-out. Bookings are checked against reservation dates.
     status: {
         type: String,
         enum: ['available', 'occupied', 'maintenance', 'cleaning'],
@@ -53,4 +56,6 @@ const roomSchema = new mongoose.Schema({
     timestamps: true
 });
 
+roomSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Room', roomSchema);
\ No newline at end of file
@@ -0,0 +1,106 @@
+// models/RoomNightLock.js
+// One document per room per booked night. The unique index on
+// (roomNumber, night) is what stops two requests from booking the same room
+// at the same time: whoever inserts a night first holds it, the other gets a
+// duplicate key error. Works on a standalone MongoDB (no replica set needed
+// for transactions).
+const mongoose = require('mongoose');
+const { nightsBetween } = require('../utils/nights');
+
+// Reservation statuses that occupy their nights
+const ACTIVE_STATUSES = ['confirmed', 'checked_in'];
+
+// A lock whose reservation does not exist yet may belong to a booking still
+// being created; only treat it as abandoned after this long
+const PENDING_GRACE_MS = 5 * 60 * 1000;
+
+const roomNightLockSchema = new mongoose.Schema({
+    roomNumber: {
+        type: String,
+        required: true
+    },
+    // YYYY-MM-DD of the night (check-in date + n)
+    night: {
+        type: String,
+        required: true
+    },
+    reservation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Reservation',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+roomNightLockSchema.index({ roomNumber: 1, night: 1 }, { unique: true });
+roomNightLockSchema.index({ reservation: 1 });
+
+// The reservation holding a lock, or null if the lock is left over from a
+// cancelled, checked-out, deleted or abandoned booking
+const activeHolder = async (lock) => {
+    const holder = await mongoose.model('Reservation').findById(lock.reservation)
+        .withDeleted()
+        .select('reservationNumber reservationStatus deletedAt')
+        .lean();
+
+    if (!holder) {
+        return Date.now() - lock.createdAt.getTime() < PENDING_GRACE_MS ? { reservationNumber: null } : null;
+    }
+    return !holder.deletedAt && ACTIVE_STATUSES.includes(holder.reservationStatus) ? holder : null;
+};
+
+// Claim every night of a stay for a reservation (nights it already holds are
+// kept) and drop any other nights it held before, e.g. after a date or room
+// change. Returns null on success, or the reservation holding a conflicting
+// night; in that case nothing is changed.
+roomNightLockSchema.statics.hold = async function (reservationId, roomNumber, checkIn, checkOut) {
+    const nights = nightsBetween(checkIn, checkOut);
+    const claimed = [];
+
+    const claim = async (night) => {
+        for (let attempt = 0; attempt < 3; attempt++) {
+            try {
+                const lock = await this.create({ roomNumber, night, reservation: reservationId });
+                claimed.push(lock._id);
+                return null;
+            } catch (error) {
+                if (error.code !== 11000) throw error;
+            }
+
+            const lock = await this.findOne({ roomNumber, night });
+            if (!lock) continue; // released in the meantime
+            if (lock.reservation.equals(reservationId)) return null;
+
+            const holder = await activeHolder(lock);
+            if (holder) return holder;
+
+            // Stale lock: remove it (unless someone else just replaced it) and try again
+            await this.deleteOne({ _id: lock._id, reservation: lock.reservation });
+        }
+        return { reservationNumber: null };
+    };
+
+    for (const night of nights) {
+        const conflict = await claim(night);
+        if (conflict) {
+            await this.deleteMany({ _id: { $in: claimed } });
+            return conflict;
+        }
+    }
+
+    await this.deleteMany({
+        reservation: reservationId,
+        $or: [{ roomNumber: { $ne: roomNumber } }, { night: { $nin: nights } }]
+    });
+    return null;
+};
+
+// Free all nights held by a reservation
+roomNightLockSchema.statics.release = function (reservationId) {
+    return this.deleteMany({ reservation: reservationId });
+};
+
+roomNightLockSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+module.exports = mongoose.model('RoomNightLock', roomNightLockSchema);
@@ -1,5 +1,81 @@
 // models/RoomType.js
+// Room categories and their rates. A night booked on a rate plan costs the
+// plan's season price for that date, else the plan's own price; a night on the
+// standard rate costs the standard season price, else basePrice. Each of these
+// may carry a separate weekend price. Guests beyond baseOccupancy add a
+// per-night surcharge on top.
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const { nightsBetween } = require('../utils/nights');
+const { roundMoney } = require('../utils/payments');
+
+// Named plans (bed & breakfast, corporate, ...) with their own nightly rates
+const ratePlanSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Rate plan code is required'],
+        trim: true,
+        uppercase: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Rate plan name is required'],
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    price: {
+        type: Number,
+        required: [true, 'Rate plan price is required'],
+        min: [0, 'Price cannot be negative']
+    },
+    weekendPrice: {
+        type: Number,
+        min: [0, 'Price cannot be negative'],
+        default: null
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+});
+
+// Prices for a date range (both dates included). Without a rate plan the
+// season replaces the standard rate; with one it replaces that plan's rate.
+const seasonalRateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Season name is required'],
+        trim: true
+    },
+    startDate: {
+        type: Date,
+        required: [true, 'Season start date is required']
+    },
+    endDate: {
+        type: Date,
+        required: [true, 'Season end date is required']
+    },
+    ratePlan: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        default: null
+    },
+    price: {
+        type: Number,
+        required: [true, 'Season price is required'],
+        min: [0, 'Price cannot be negative']
+    },
+    weekendPrice: {
+        type: Number,
+        min: [0, 'Price cannot be negative'],
+        default: null
+    }
+});
 
 const roomTypeSchema = new mongoose.Schema({
     name: {
@@ -16,11 +92,42 @@ const roomTypeSchema = new mongoose.Schema({
         required: [true, 'Base price is required'],
         min: [0, 'Price cannot be negative']
     },
+    // Standard rate on weekend nights; basePrice applies when unset
+    weekendPrice: {
+        type: Number,
+        min: [0, 'Price cannot be negative'],
+        default: null
+    },
+    // Nights counted as weekend, by day of week of the night (0 = Sunday):
+    // Friday and Saturday nights by default
+    weekendDays: {
+        type: [{ type: Number, min: 0, max: 6 }],
+        default: [5, 6]
+    },
+    seasonalRates: [seasonalRateSchema],
+    ratePlans: [ratePlanSchema],
     maxOccupancy: {
         type: Number,
         required: [true, 'Max occupancy is required'],
         min: [1, 'Must accommodate at least 1 person']
     },
+    // Guests included in the nightly rate; maxOccupancy when unset
+    baseOccupancy: {
+        type: Number,
+        min: [1, 'Base occupancy must be at least 1'],
+        default: null
+    },
+    // Per-night charges for each adult/child beyond baseOccupancy
+    extraAdultCharge: {
+        type: Number,
+        min: [0, 'Charge cannot be negative'],
+        default: 0
+    },
+    extraChildCharge: {
+        type: Number,
+        min: [0, 'Charge cannot be negative'],
+        default: 0
+    },
     amenities: [{
         type: String
     }],
@@ -51,4 +158,95 @@ const roomTypeSchema = new mongoose.Schema({
     timestamps: true
 });
 
+roomTypeSchema.pre('validate', function () {
+    const day = (date) => new Date(date).toISOString().slice(0, 10);
+
+    if (this.baseOccupancy && this.maxOccupancy && this.baseOccupancy > this.maxOccupancy) {
+        this.invalidate('baseOccupancy', 'Base occupancy cannot exceed max occupancy');
+    }
+
+    const codes = new Set();
+    this.ratePlans.forEach((plan, i) => {
+        if (codes.has(plan.code)) {
+            this.invalidate(`ratePlans.${i}.code`, `Rate plan code ${plan.code} is used more than once`);
+        }
+        codes.add(plan.code);
+    });
+
+    this.seasonalRates.forEach((season, i) => {
+        if (!season.startDate || !season.endDate) return;
+        if (season.endDate < season.startDate) {
+            this.invalidate(`seasonalRates.${i}.endDate`, `Season ${season.name} ends before it starts`);
+        }
+        if (season.ratePlan && !codes.has(season.ratePlan)) {
+            this.invalidate(`seasonalRates.${i}.ratePlan`, `Season ${season.name} refers to unknown rate plan ${season.ratePlan}`);
+        }
+        // Seasons of the same rate may not overlap, so every night has one price
+        const overlap = this.seasonalRates.slice(0, i).find(other =>
+            (other.ratePlan || null) === (season.ratePlan || null) &&
+            day(other.startDate) <= day(season.endDate) &&
+            day(season.startDate) <= day(other.endDate));
+        if (overlap) {
+            this.invalidate(`seasonalRates.${i}.startDate`, `Season ${season.name} overlaps season ${overlap.name}`);
+        }
+    });
+});
+
+// Active rate plan by code, or undefined
+roomTypeSchema.methods.getRatePlan = function (code) {
+    if (!code) return undefined;
+    return this.ratePlans.find(plan => plan.isActive && plan.code === String(code).trim().toUpperCase());
+};
+
+// Why the party does not fit this room type, or null
+roomTypeSchema.methods.occupancyError = function ({ adults = 1, children = 0 } = {}) {
+    if (adults + children > this.maxOccupancy) {
+        return `${this.name} takes at most ${this.maxOccupancy} guest(s); ${adults + children} requested`;
+    }
+    return null;
+};
+
+// Per-night surcharge for guests beyond the base occupancy. Adults take the
+// included places first.
+roomTypeSchema.methods.occupancySurcharge = function ({ adults = 1, children = 0 } = {}) {
+    const included = this.baseOccupancy || this.maxOccupancy;
+    const extraAdults = Math.max(0, adults - included);
+    const extraChildren = Math.max(0, children - Math.max(0, included - adults));
+    return extraAdults * (this.extraAdultCharge || 0) + extraChildren * (this.extraChildCharge || 0);
+};
+
+// Price of each night of a stay: [{ date, baseRate, surcharge, rate, label }],
+// rate being the room rate plus the occupancy surcharge. The caller checks
+// that ratePlanCode names an active plan.
+roomTypeSchema.methods.priceNights = function (checkIn, checkOut, ratePlanCode = null, occupancy = {}) {
+    const plan = this.getRatePlan(ratePlanCode);
+    const planCode = plan ? plan.code : null;
+    const surcharge = this.occupancySurcharge(occupancy);
+
+    return nightsBetween(checkIn, checkOut).map(date => {
+        const weekend = this.weekendDays.includes(new Date(date).getUTCDay());
+        const season = this.seasonalRates.find(season =>
+            (season.ratePlan || null) === planCode &&
+            season.startDate.toISOString().slice(0, 10) <= date &&
+            date <= season.endDate.toISOString().slice(0, 10));
+
+        const source = season || plan;
+        const standard = source ? source.price : this.basePrice;
+        const weekendPrice = source ? source.weekendPrice : this.weekendPrice;
+        const useWeekend = weekend && weekendPrice !== null && weekendPrice !== undefined;
+
+        const label = source ? source.name : 'Standard';
+        const baseRate = useWeekend ? weekendPrice : standard;
+        return {
+            date,
+            baseRate,
+            surcharge,
+            rate: roundMoney(baseRate + surcharge),
+            label: useWeekend ? `${label} (weekend)` : label
+        };
+    });
+};
+
+roomTypeSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('RoomType', roomTypeSchema);
\ No newline at end of file
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const softDelete = require('./plugins/softDelete');
+const Counter = require('./Counter');
+const { derivePaymentStatus } = require('../utils/payments');
 
 const saleItemSchema = new mongoose.Schema({
     menuItemId: {
@@ -55,6 +59,12 @@ const saleSchema = new mongoose.Schema({
         type: String,
         unique: true
     },
+    // Shared guest profile (matched or created on booking)
+    guest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Guest',
+        default: null
+    },
     customerName: {
         type: String,
         trim: true,
@@ -97,7 +107,7 @@ const saleSchema = new mongoose.Schema({
     },
     paymentStatus: {
         type: String,
-        enum: ['pending', 'confirmed', 'cancelled', 'refunded'],
+        enum: ['pending', 'partial', 'confirmed', 'cancelled', 'refunded'],
         default: 'pending'
     },
     orderType: {
@@ -105,6 +115,18 @@ const saleSchema = new mongoose.Schema({
         enum: ['dine_in', 'takeaway', 'delivery'],
         default: 'dine_in'
     },
+    // Bill posted to a hotel room folio instead of being paid at the table
+    roomCharge: {
+        roomNumber: String,
+        reservation: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Reservation'
+        },
+        chargeId: mongoose.Schema.Types.ObjectId,
+        reversedAt: Date,
+        // 'cancelled', 'refunded' or 'deleted'; a delete is undone on restore
+        reversedFor: String
+    },
     notes: {
         type: String,
         trim: true
@@ -127,31 +149,36 @@ const saleSchema = new mongoose.Schema({
 
 // Generate sale number before saving
 saleSchema.pre('save', async function () {
-    console.log('🔄 Generating sale number...');
-
     if (!this.saleNumber) {
-        try {
-            // Get count of documents to generate unique number
-            const count = await this.constructor.countDocuments();
-
-            // Generate sale number in format: RBS-YYMMDD-XXXX
-            const date = new Date();
-            const year = date.getFullYear().toString().slice(-2);
-            const month = (date.getMonth() + 1).toString().padStart(2, '0');
-            const day = date.getDate().toString().padStart(2, '0');
-
-            this.saleNumber = `RBS-${year}${month}${day}-${(count + 1).toString().padStart(4, '0')}`;
-
-            console.log('✅ Sale number generated:', this.saleNumber);
-        } catch (error) {
-            console.error('❌ Error generating sale number:', error);
-            // Fallback
-            this.saleNumber = `RBS-${Date.now()}`;
-        }
+        // Default format: RBS-YYMMDD-XXXX, restarting every day
+        this.saleNumber = await Counter.nextNumber('sale', (number) =>
+            this.constructor.exists({ saleNumber: number }).withDeleted());
     }
 });
 
 // Index for searching
 saleSchema.index({ saleNumber: 'text', customerName: 'text', customerPhone: 'text' });
 
+// Payment ledger hooks (see models/Payment.js)
+saleSchema.methods.getAmountDue = function () {
+    return this.totalAmount;
+};
+
+saleSchema.methods.getLegacyAmountPaid = function () {
+    return this.paymentStatus === 'confirmed' ? this.totalAmount : 0;
+};
+
+saleSchema.methods.applyPaymentTotals = function (totals) {
+    const status = derivePaymentStatus(totals, this.getAmountDue());
+    // A cancelled sale stays cancelled until the money is fully refunded
+    if (this.paymentStatus === 'cancelled' && status !== 'refunded') return;
+    this.paymentStatus = status === 'paid' ? 'confirmed' : status;
+};
+
+saleSchema.index({ guest: 1 });
+saleSchema.index({ 'roomCharge.reservation': 1 });
+
+saleSchema.plugin(softDelete);
+saleSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Sale', saleSchema);
\ No newline at end of file
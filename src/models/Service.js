@@ -1,5 +1,6 @@
 // models/Service.js
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const serviceSchema = new mongoose.Schema({
     name: {
@@ -37,4 +38,6 @@ const serviceSchema = new mongoose.Schema({
     timestamps: true
 });
 
+serviceSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('Service', serviceSchema);
\ No newline at end of file
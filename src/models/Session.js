@@ -0,0 +1,83 @@
+// models/Session.js
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required'],
+        index: true
+    },
+    // SHA-256 hash of the current refresh token (raw token is never stored)
+    refreshTokenHash: {
+        type: String,
+        required: [true, 'Refresh token hash is required'],
+        select: false
+    },
+    // Bumped on every refresh so access tokens issued before rotation stop working
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+    // Last refresh token rotation; the token before it is honoured briefly after
+    rotatedAt: {
+        type: Date,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // Optional label sent by the client, e.g. "Front desk terminal 2"
+    deviceName: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    ipAddress: {
+        type: String,
+        default: ''
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry date is required']
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'reuse_detected', 'password_changed', 'user_deactivated', 'user_revoked', 'admin_revoked'],
+        default: null
+    },
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Expired sessions are removed by MongoDB automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke every active session of a user (password change, deactivation, etc.)
+sessionSchema.statics.revokeAllForUser = function (userId, reason, revokedBy = null) {
+    return this.updateMany(
+        { user: userId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason, revokedBy }
+    );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
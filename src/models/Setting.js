@@ -0,0 +1,95 @@
+// models/Setting.js
+// Business details printed on invoices and receipts. There is a single
+// record; use Setting.getSettings() to read it.
+const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
+const { loadImage } = require('../utils/pdf');
+
+const settingSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: 'default',
+        unique: true
+    },
+    hotelName: {
+        type: String,
+        trim: true,
+        default: 'Hotel'
+    },
+    address: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    phone: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        match: [/^$|^\S+@\S+\.\S+$/, 'Please enter a valid email'],
+        default: ''
+    },
+    website: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    taxId: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // data:image/jpeg|png;base64,... (PNG without transparency)
+    logo: {
+        type: String,
+        default: '',
+        validate: {
+            validator: (logo) => !logo || !!loadImage(logo),
+            message: 'Logo must be a JPEG or a PNG without transparency, as a base64 data URL'
+        }
+    },
+    // Printed before amounts; the PDF fonts cannot show symbols like the rupee sign
+    currency: {
+        type: String,
+        trim: true,
+        default: 'Rs.'
+    },
+    locale: {
+        type: String,
+        trim: true,
+        default: 'en-IN'
+    },
+    invoiceFooter: {
+        type: String,
+        trim: true,
+        default: 'Thank you for your business.'
+    },
+    receiptFooter: {
+        type: String,
+        trim: true,
+        default: 'Thank you! Please visit again.'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// The settings record, created with defaults on first use
+settingSchema.statics.getSettings = function () {
+    return this.findOneAndUpdate(
+        { key: 'default' },
+        { $setOnInsert: { key: 'default' } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+settingSchema.plugin(auditTrail, { redact: ['logo'] });
+
+module.exports = mongoose.model('Setting', settingSchema);
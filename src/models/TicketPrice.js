@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const ticketPriceSchema = new mongoose.Schema({
     passType: {
@@ -40,4 +41,6 @@ const ticketPriceSchema = new mongoose.Schema({
     timestamps: true
 });
 
+ticketPriceSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('TicketPrice', ticketPriceSchema);
\ No newline at end of file
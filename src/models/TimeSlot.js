@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditTrail = require('./plugins/auditTrail');
 
 const timeSlotSchema = new mongoose.Schema({
     slotId: {
@@ -53,4 +54,6 @@ timeSlotSchema.virtual('available').get(function () {
     return this.maxCapacity - this.currentBookings;
 });
 
+timeSlotSchema.plugin(auditTrail);
+
 module.exports = mongoose.model('TimeSlot', timeSlotSchema);
\ No newline at end of file
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { passwordPolicy, validatePasswordPolicy } = require('../config/passwordPolicy');
+const { verifyCode } = require('../utils/totp');
+const auditTrail = require('./plugins/auditTrail');
 
 const userSchema = new mongoose.Schema(
     {
@@ -26,20 +30,98 @@ const userSchema = new mongoose.Schema(
         password: {
             type: String,
             required: [true, 'Password is required'],
-            minlength: [6, 'Password must be at least 6 characters'],
-            select: false
+            select: false // Strength rules live in config/passwordPolicy.js
+        },
+        // Hashes of previous passwords, newest first
+        passwordHistory: {
+            type: [String],
+            select: false,
+            default: []
         },
+        // Primary role; names refer to the Role collection
         role: {
             type: String,
-            enum: ['admin', 'pool_staff', 'conference_staff', 'hotel_staff', 'restaurant_staff'],
+            trim: true,
             default: 'pool_staff'
         },
+        // Extra roles, e.g. someone covering both pool and restaurant
+        roles: {
+            type: [String],
+            default: []
+        },
         isActive: {
             type: Boolean,
             default: true
         },
         lastLogin: {
             type: Date
+        },
+        // Set for admin-assigned passwords; user must pick their own before using the app
+        mustChangePassword: {
+            type: Boolean,
+            default: false
+        },
+        passwordChangedAt: {
+            type: Date
+        },
+        passwordResetTokenHash: {
+            type: String,
+            select: false
+        },
+        passwordResetExpires: {
+            type: Date,
+            select: false
+        },
+        failedLoginAttempts: {
+            type: Number,
+            default: 0
+        },
+        lockUntil: {
+            type: Date,
+            default: null
+        },
+        lockoutEvents: [{
+            lockedAt: {
+                type: Date,
+                default: Date.now
+            },
+            lockedUntil: Date,
+            failedAttempts: Number,
+            ipAddress: String,
+            unlockedAt: Date,
+            unlockedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            }
+        }],
+        // Two-factor authentication (TOTP, RFC 6238)
+        twoFactorEnabled: {
+            type: Boolean,
+            default: false
+        },
+        twoFactorEnabledAt: {
+            type: Date
+        },
+        twoFactorSecret: {
+            type: String,
+            select: false
+        },
+        // Secret shown during enrollment, promoted to twoFactorSecret once a code is verified
+        twoFactorPendingSecret: {
+            type: String,
+            select: false
+        },
+        // Last accepted time step, so the same code cannot be used twice
+        twoFactorLastUsedStep: {
+            type: Number,
+            default: -1,
+            select: false
+        },
+        // SHA-256 hashes of unused recovery codes
+        twoFactorBackupCodes: {
+            type: [String],
+            default: [],
+            select: false
         }
     },
     {
@@ -59,12 +141,52 @@ userSchema.pre('save', async function () {
         return;
     }
 
+    // Enforce password policy on the plain text value
+    const policyErrors = validatePasswordPolicy(this.password, this);
+    if (policyErrors.length > 0) {
+        throw passwordValidationError(this, policyErrors.join(', '));
+    }
+
+    // Reject reuse of the current or recent passwords
+    let previousHashes = [];
+    if (!this.isNew && passwordPolicy.historyCount > 0) {
+        const previous = await this.constructor.findById(this._id).select('+password +passwordHistory');
+        if (previous && previous.password) {
+            previousHashes = [previous.password, ...(previous.passwordHistory || [])]
+                .slice(0, passwordPolicy.historyCount);
+
+            for (const hash of previousHashes) {
+                if (await bcrypt.compare(this.password, hash)) {
+                    throw passwordValidationError(
+                        this,
+                        `Password cannot be one of your last ${passwordPolicy.historyCount} passwords`
+                    );
+                }
+            }
+        }
+    }
+
     console.log('   Hashing password...');
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+        this.passwordChangedAt = new Date();
+        this.passwordHistory = previousHashes;
+    }
     console.log('   ✅ Password hashed successfully');
 });
 
+// Build a mongoose ValidationError so controllers report it as a 400
+function passwordValidationError(doc, message) {
+    const error = new mongoose.Error.ValidationError(doc);
+    error.addError('password', new mongoose.Error.ValidatorError({
+        path: 'password',
+        message,
+        value: undefined
+    }));
+    return error;
+}
+
 //
 // 🔹 COMPARE PASSWORD METHOD
 //
@@ -72,15 +194,102 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+//
+// 🔹 ONE-TIME PASSWORD RESET TOKEN (only the hash is stored)
+//
+userSchema.methods.createPasswordResetToken = function (expiresInHours = 24) {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+
+    this.passwordResetTokenHash = crypto.createHash('sha256').update(resetToken).digest('hex');
+    this.passwordResetExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+
+    return resetToken;
+};
+
+//
+// 🔹 TWO-FACTOR AUTHENTICATION
+// Needs +twoFactorSecret +twoFactorLastUsedStep +twoFactorBackupCodes selected.
+// Returns 'totp', 'backup_code' or null; the caller saves the user.
+//
+const hashBackupCode = (code) => {
+    const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+userSchema.methods.verifyTwoFactorCode = function (code) {
+    if (!this.twoFactorEnabled || !this.twoFactorSecret || !code) return null;
+
+    const step = verifyCode(this.twoFactorSecret, code, { lastUsedStep: this.twoFactorLastUsedStep });
+    if (step !== null) {
+        this.twoFactorLastUsedStep = step;
+        return 'totp';
+    }
+
+    // Recovery codes are single use
+    const hash = hashBackupCode(code);
+    if (this.twoFactorBackupCodes.includes(hash)) {
+        this.twoFactorBackupCodes = this.twoFactorBackupCodes.filter(stored => stored !== hash);
+        return 'backup_code';
+    }
+
+    return null;
+};
+
+// Replace all recovery codes; plain codes are returned once and never stored
+userSchema.methods.generateBackupCodes = function (count = 10) {
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+        const raw = crypto.randomBytes(4).toString('hex');
+        codes.push(`${raw.slice(0, 4)}-${raw.slice(4)}`);
+    }
+    this.twoFactorBackupCodes = codes.map(hashBackupCode);
+    return codes;
+};
+
+userSchema.methods.disableTwoFactor = function () {
+    this.twoFactorEnabled = false;
+    this.twoFactorEnabledAt = undefined;
+    this.twoFactorSecret = undefined;
+    this.twoFactorPendingSecret = undefined;
+    this.twoFactorLastUsedStep = -1;
+    this.twoFactorBackupCodes = [];
+};
+
+//
+// 🔹 ALL ROLES HELD BY THE USER (primary + extra)
+//
+userSchema.methods.getRoles = function () {
+    return [...new Set([this.role, ...(this.roles || [])].filter(Boolean))];
+};
+
+//
+// 🔹 ACCOUNT LOCKOUT
+//
+userSchema.methods.isLocked = function () {
+    return !!(this.lockUntil && this.lockUntil > new Date());
+};
+
 //
 // 🔹 REMOVE PASSWORD FROM JSON OUTPUT
 //
 userSchema.methods.toJSON = function () {
     const user = this.toObject();
     delete user.password;
+    delete user.passwordHistory;
+    delete user.passwordResetTokenHash;
+    delete user.passwordResetExpires;
+    delete user.twoFactorSecret;
+    delete user.twoFactorPendingSecret;
+    delete user.twoFactorLastUsedStep;
+    delete user.twoFactorBackupCodes;
     return user;
 };
 
+userSchema.plugin(auditTrail, {
+    ignore: ['lastLogin', 'failedLoginAttempts', 'twoFactorLastUsedStep'],
+    redact: ['twoFactorSecret', 'twoFactorPendingSecret', 'twoFactorBackupCodes']
+});
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
\ No newline at end of file
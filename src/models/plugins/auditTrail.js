@@ -0,0 +1,88 @@
+// models/plugins/auditTrail.js
+// Mongoose plugin that writes an AuditLog entry whenever a document is created,
+// updated (via save) or deleted (via doc.deleteOne) while handling an API request.
+// Query helpers (updateMany, findOneAndUpdate...) bypass document hooks and are
+// not audited, so controllers should load the document and save it instead.
+const AuditLog = require('../AuditLog');
+
+const ALWAYS_IGNORED = ['_id', '__v', 'createdAt', 'updatedAt'];
+const ALWAYS_REDACTED = ['password', 'passwordHistory', 'passwordResetTokenHash', 'refreshTokenHash'];
+
+// Plain JSON copy (ObjectIds and Dates become strings) with secrets masked
+const redacted = (object, redact) => {
+    const data = JSON.parse(JSON.stringify(object));
+    for (const field of redact) {
+        if (data[field] !== undefined) data[field] = '[redacted]';
+    }
+    return data;
+};
+
+const snapshot = (doc, redact) => {
+    return redacted(doc.toObject({ depopulate: true, virtuals: false }), redact);
+};
+
+const writeLog = (doc, action, changes) => {
+    return AuditLog.record(doc.constructor.modelName, doc._id, action, changes);
+};
+
+module.exports = function auditTrail(schema, options = {}) {
+    const ignored = [...ALWAYS_IGNORED, ...(options.ignore || [])];
+    const redact = [...ALWAYS_REDACTED, ...(options.redact || [])];
+
+    // Read the stored values of the changed paths only when a save is about to
+    // write them, so documents that are loaded and never saved cost nothing.
+    // The collection is queried directly to skip query middleware (soft delete).
+    schema.pre('save', async function () {
+        this.$locals.auditWasNew = this.isNew;
+        this.$locals.auditModified = [...new Set(this.modifiedPaths().map(path => path.split('.')[0]))]
+            .filter(path => !ignored.includes(path));
+        this.$locals.auditOriginal = {};
+
+        if (this.isNew || this.$locals.auditModified.length === 0) return;
+
+        const projection = {};
+        for (const path of this.$locals.auditModified) {
+            projection[path] = 1;
+        }
+        const stored = await this.collection.findOne(
+            { _id: this._id },
+            { projection, session: this.$session() || undefined }
+        );
+        if (stored) {
+            this.$locals.auditOriginal = redacted(stored, redact);
+        }
+    });
+
+    schema.post('save', async function () {
+        const current = snapshot(this, redact);
+
+        if (this.$locals.auditWasNew) {
+            await writeLog(this, 'create', current);
+        } else {
+            const original = this.$locals.auditOriginal;
+            const changes = {};
+
+            for (const path of this.$locals.auditModified || []) {
+                const from = original[path];
+                const to = current[path];
+                if (JSON.stringify(from) !== JSON.stringify(to)) {
+                    changes[path] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+                }
+            }
+
+            if (Object.keys(changes).length > 0) {
+                await writeLog(this, 'update', changes);
+            }
+        }
+    });
+
+    schema.post('deleteOne', { document: true, query: false }, async function () {
+        await writeLog(this, 'delete', snapshot(this, redact));
+    });
+
+    schema.post('insertMany', async function (docs) {
+        for (const doc of docs) {
+            await writeLog(doc, 'create', snapshot(doc, redact));
+        }
+    });
+};
@@ -0,0 +1,74 @@
+// models/plugins/softDelete.js
+// Adds deletedAt/deletedBy/deletionReason and hides soft-deleted documents from
+// every find, count and aggregate unless the query opts in with `.withDeleted()`.
+const mongoose = require('mongoose');
+
+const QUERY_HOOKS = [
+    'find',
+    'findOne',
+    'countDocuments',
+    'distinct',
+    'findOneAndUpdate',
+    'updateOne',
+    'updateMany'
+];
+
+module.exports = function softDelete(schema) {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null,
+            index: true
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        },
+        deletionReason: {
+            type: String,
+            trim: true,
+            default: ''
+        }
+    });
+
+    // Model.find(...).withDeleted() / .withDeleted(req.query.includeDeleted === 'true')
+    schema.query.withDeleted = function (include = true) {
+        return include ? this.setOptions({ includeDeleted: true }) : this;
+    };
+
+    schema.pre(QUERY_HOOKS, function () {
+        const options = this.getOptions();
+        if (options.includeDeleted) {
+            // Mongoose-only flag, keep it away from the driver
+            delete options.includeDeleted;
+            return;
+        }
+
+        // Callers filtering on deletedAt themselves (e.g. "deleted only") are left alone
+        if (this.getFilter().deletedAt === undefined) {
+            this.where({ deletedAt: null });
+        }
+    });
+
+    // Reports and dashboards never count deleted records
+    schema.pre('aggregate', function () {
+        const [first] = this.pipeline();
+        if (first && first.$match && first.$match.deletedAt !== undefined) return;
+        this.pipeline().unshift({ $match: { deletedAt: null } });
+    });
+
+    schema.methods.softDelete = function (userId, reason = '') {
+        this.deletedAt = new Date();
+        this.deletedBy = userId;
+        this.deletionReason = reason;
+        return this.save();
+    };
+
+    schema.methods.restore = function () {
+        this.deletedAt = null;
+        this.deletedBy = null;
+        this.deletionReason = '';
+        return this.save();
+    };
+};
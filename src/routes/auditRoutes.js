@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { getAuditLogs } = require('../controllers/auditController');
+const { auth, requirePermission } = require('../middlewares/auth');
+
+// Apply authentication to all routes
+router.use(auth);
+
+// @route   GET /api/audit
+// @desc    Get audit trail (filter by user, entityType/entityId, action, startDate/endDate)
+// @access  Private/Admin
+router.get('/', requirePermission('audit.view'), getAuditLogs);
+
+module.exports = router;
\ No newline at end of file
@@ -1,6 +1,21 @@
 const express = require('express');
 const router = express.Router();
-const { login, getMe, logout } = require('../controllers/authController');
+const {
+    login,
+    verifyTwoFactorLogin,
+    refresh,
+    getMe,
+    logout,
+    getSessions,
+    revokeSession,
+    changePassword,
+    resetPassword,
+    getPasswordPolicy,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateBackupCodes
+} = require('../controllers/authController');
 const { auth } = require('../middlewares/auth');
 
 // @route   POST /api/auth/login
@@ -8,6 +23,26 @@ const { auth } = require('../middlewares/auth');
 // @access  Public
 router.post('/login', login);
 
+// @route   POST /api/auth/login/2fa
+// @desc    Complete login with authenticator or backup code
+// @access  Public
+router.post('/login/2fa', verifyTwoFactorLogin);
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange refresh token for a new token pair
+// @access  Public
+router.post('/refresh', refresh);
+
+// @route   GET /api/auth/password-policy
+// @desc    Get password rules
+// @access  Public
+router.get('/password-policy', getPasswordPolicy);
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password with admin-issued token
+// @access  Public
+router.post('/reset-password', resetPassword);
+
 // @route   GET /api/auth/me
 // @desc    Get current logged in user data
 // @access  Private
@@ -18,4 +53,39 @@ router.get('/me', auth, getMe);
 // @access  Private
 router.post('/logout', auth, logout);
 
+// @route   PUT /api/auth/password
+// @desc    Change own password
+// @access  Private
+router.put('/password', auth, changePassword);
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions of current user
+// @access  Private
+router.get('/sessions', auth, getSessions);
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of current user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, revokeSession);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Generate two-factor secret and otpauth URI
+// @access  Private
+router.post('/2fa/setup', auth, setupTwoFactor);
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Verify first code and enable two-factor
+// @access  Private
+router.post('/2fa/enable', auth, enableTwoFactor);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor
+// @access  Private
+router.post('/2fa/disable', auth, disableTwoFactor);
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Regenerate backup recovery codes
+// @access  Private
+router.post('/2fa/backup-codes', auth, regenerateBackupCodes);
+
 module.exports = router;
\ No newline at end of file
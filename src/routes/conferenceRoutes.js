@@ -9,6 +9,7 @@ const {
     updateBookingStatus,
     updatePaymentStatus,
     deleteBooking,
+    restoreBooking,
     getDashboardStats,
     getReports
 } = require('../controllers/conferenceController');
@@ -22,48 +23,55 @@ const {
     updateEquipment,
     createEquipment
 } = require('../controllers/equipmentController');
-const { auth, authorize } = require('../middlewares/auth');
+const { getPayments, recordPayment } = require('../controllers/paymentController');
+const { issueInvoice, downloadInvoicePdf } = require('../controllers/invoiceController');
+const { auth, requirePermission } = require('../middlewares/auth');
 
 // Apply authentication to all routes
 router.use(auth);
 
 // ============================================
-// ROUTES ACCESSIBLE BY BOTH ADMIN AND CONFERENCE STAFF
+// BOOKING DESK ROUTES
 // ============================================
 
-// Bookings routes - YAHAN 'conference_staff' ALLOWED HONA CHAHIYE
-router.get('/bookings', authorize(['admin', 'conference_staff']), getBookings);
-router.get('/bookings/:id', authorize(['admin', 'conference_staff']), getBooking);
-router.post('/bookings', authorize(['admin', 'conference_staff']), createBooking);
-router.put('/bookings/:id', authorize(['admin', 'conference_staff']), updateBooking);
-router.put('/bookings/:id/status', authorize(['admin', 'conference_staff']), updateBookingStatus);
-router.put('/bookings/:id/payment', authorize(['admin', 'conference_staff']), updatePaymentStatus);
+// Bookings routes
+router.get('/bookings', requirePermission('conference.bookings.view'), getBookings);
+router.get('/bookings/:id', requirePermission('conference.bookings.view'), getBooking);
+router.post('/bookings', requirePermission('conference.bookings.create'), createBooking);
+router.put('/bookings/:id', requirePermission('conference.bookings.update'), updateBooking);
+router.put('/bookings/:id/status', requirePermission('conference.bookings.update'), updateBookingStatus);
+router.put('/bookings/:id/payment', requirePermission('conference.payments.update'), updatePaymentStatus);
+router.get('/bookings/:id/payments', requirePermission('conference.bookings.view'), getPayments('conference'));
+router.post('/bookings/:id/payments', requirePermission('conference.payments.update'), recordPayment('conference'));
+router.post('/bookings/:id/invoice', requirePermission('conference.payments.update'), issueInvoice('conference'));
+router.get('/bookings/:id/invoice.pdf', requirePermission('conference.bookings.view'), downloadInvoicePdf('conference'));
 
 // Halls routes (Settings ke liye)
-router.get('/halls', authorize(['admin', 'conference_staff']), getConferenceHalls);
-router.put('/halls/:id', authorize(['admin', 'conference_staff']), updateConferenceHall);
+router.get('/halls', requirePermission('conference.halls.view'), getConferenceHalls);
+router.put('/halls/:id', requirePermission('conference.halls.update'), updateConferenceHall);
 
 // Equipment routes
-router.get('/equipment', authorize(['admin', 'conference_staff']), getEquipment);
+router.get('/equipment', requirePermission('conference.equipment.view'), getEquipment);
 
 // ============================================
-// ADMIN ONLY ROUTES (STAFF KO NAHI CHAHIYE)
+// MANAGEMENT ROUTES
 // ============================================
 
-// Dashboard (ADMIN ONLY)
-router.get('/dashboard', authorize(['admin']), getDashboardStats);
+// Dashboard
+router.get('/dashboard', requirePermission('conference.dashboard.view'), getDashboardStats);
 
-// Reports (ADMIN ONLY)
-router.get('/reports', authorize(['admin']), getReports);
+// Reports
+router.get('/reports', requirePermission('conference.reports.view'), getReports);
 
-// Delete booking (ADMIN ONLY)
-router.delete('/bookings/:id', authorize(['admin']), deleteBooking);
+// Delete booking
+router.delete('/bookings/:id', requirePermission('conference.bookings.delete'), deleteBooking);
+router.post('/bookings/:id/restore', requirePermission('records.restore'), restoreBooking);
 
-// Initialize halls (ADMIN ONLY - setup ke liye)
-router.post('/halls/initialize', authorize(['admin']), initializeConferenceHalls);
+// Initialize halls (setup ke liye)
+router.post('/halls/initialize', requirePermission('conference.settings.initialize'), initializeConferenceHalls);
 
-// Equipment management (ADMIN ONLY)
-router.put('/equipment/:id', authorize(['admin']), updateEquipment);
-router.post('/equipment', authorize(['admin']), createEquipment);
+// Equipment management
+router.put('/equipment/:id', requirePermission('conference.equipment.manage'), updateEquipment);
+router.post('/equipment', requirePermission('conference.equipment.manage'), createEquipment);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getGuests,
+    getGuest,
+    createGuest,
+    updateGuest,
+    getGuestHistory,
+    findDuplicates,
+    mergeGuests
+} = require('../controllers/guestController');
+const { auth, requirePermission } = require('../middlewares/auth');
+
+// Apply authentication to all routes
+router.use(auth);
+
+// @route   GET /api/guests
+// @desc    Get all guests
+// @access  Private
+router.get('/', requirePermission('guests.view'), getGuests);
+
+// @route   GET /api/guests/duplicates
+// @desc    Find likely duplicate guests
+// @access  Private/Admin
+router.get('/duplicates', requirePermission('guests.merge'), findDuplicates);
+
+// @route   GET /api/guests/:id
+// @desc    Get single guest
+// @access  Private
+router.get('/:id', requirePermission('guests.view'), getGuest);
+
+// @route   GET /api/guests/:id/history
+// @desc    Get visits and spend of a guest across all departments
+// @access  Private
+router.get('/:id/history', requirePermission('guests.view'), getGuestHistory);
+
+// @route   POST /api/guests
+// @desc    Create guest
+// @access  Private
+router.post('/', requirePermission('guests.manage'), createGuest);
+
+// @route   PUT /api/guests/:id
+// @desc    Update guest
+// @access  Private
+router.put('/:id', requirePermission('guests.manage'), updateGuest);
+
+// @route   POST /api/guests/:id/merge
+// @desc    Merge duplicate guests into this guest
+// @access  Private/Admin
+router.post('/:id/merge', requirePermission('guests.merge'), mergeGuests);
+
+module.exports = router;
\ No newline at end of file
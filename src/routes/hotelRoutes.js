@@ -11,16 +11,23 @@ const {
     checkIn,
     checkOut,
     deleteReservation,
+    restoreReservation,
     getDashboardStats,
     getReports,
     initializeDefaults
 } = require('../controllers/hotelController');
+const {
+    getFolio,
+    postCharge,
+    voidCharge
+} = require('../controllers/folioController');
 const {
     getRooms,
     getRoom,
     createRoom,
     updateRoom,
-    updateRoomStatus
+    updateRoomStatus,
+    getAvailability
 } = require('../controllers/roomController');
 const {
     getRoomTypes,
@@ -34,38 +41,87 @@ const {
     createService,
     initializeServices
 } = require('../controllers/serviceController');
-const { auth, authorize } = require('../middlewares/auth');
+const {
+    getBoard,
+    getTasks,
+    createTask,
+    assignTask,
+    startTask,
+    finishTask,
+    inspectTask,
+    cancelTask
+} = require('../controllers/housekeepingController');
+const {
+    getTickets,
+    getTicket,
+    createTicket,
+    updateTicket,
+    resolveTicket,
+    cancelTicket,
+    getOutOfServiceReport
+} = require('../controllers/maintenanceController');
+const { getPayments, recordPayment } = require('../controllers/paymentController');
+const { issueInvoice, downloadInvoicePdf } = require('../controllers/invoiceController');
+const { auth, requirePermission } = require('../middlewares/auth');
 
 // Apply authentication to all routes
 router.use(auth);
 
-// Routes accessible by both admin and hotel_staff
-router.get('/dashboard', authorize(['admin', 'hotel_staff']), getDashboardStats);
-router.get('/reports', authorize(['admin', 'hotel_staff']), getReports);
-router.get('/reservations', authorize(['admin', 'hotel_staff']), getReservations);
-router.get('/reservations/:id', authorize(['admin', 'hotel_staff']), getReservation);
-router.post('/reservations', authorize(['admin', 'hotel_staff']), createReservation);
-router.put('/reservations/:id', authorize(['admin', 'hotel_staff']), updateReservation);
-router.put('/reservations/:id/status', authorize(['admin', 'hotel_staff']), updateReservationStatus);
-router.put('/reservations/:id/payment', authorize(['admin', 'hotel_staff']), updatePaymentStatus);
-router.put('/reservations/:id/checkin', authorize(['admin', 'hotel_staff']), checkIn);
-router.put('/reservations/:id/checkout', authorize(['admin', 'hotel_staff']), checkOut);
-router.get('/rooms', authorize(['admin', 'hotel_staff']), getRooms);
-router.get('/rooms/:id', authorize(['admin', 'hotel_staff']), getRoom);
-router.put('/rooms/:id/status', authorize(['admin', 'hotel_staff']), updateRoomStatus);
-router.get('/room-types', authorize(['admin', 'hotel_staff']), getRoomTypes);
-router.get('/services', authorize(['admin', 'hotel_staff']), getServices);
+// Front desk routes
+router.get('/dashboard', requirePermission('hotel.dashboard.view'), getDashboardStats);
+router.get('/reports', requirePermission('hotel.reports.view'), getReports);
+router.get('/reservations', requirePermission('hotel.reservations.view'), getReservations);
+router.get('/reservations/:id', requirePermission('hotel.reservations.view'), getReservation);
+router.post('/reservations', requirePermission('hotel.reservations.create'), createReservation);
+router.put('/reservations/:id', requirePermission('hotel.reservations.update'), updateReservation);
+router.put('/reservations/:id/status', requirePermission('hotel.reservations.update'), updateReservationStatus);
+router.put('/reservations/:id/payment', requirePermission('hotel.payments.update'), updatePaymentStatus);
+router.put('/reservations/:id/checkin', requirePermission('hotel.reservations.checkin'), checkIn);
+router.put('/reservations/:id/checkout', requirePermission('hotel.reservations.checkin'), checkOut);
+router.get('/reservations/:id/folio', requirePermission('hotel.reservations.view'), getFolio);
+router.post('/reservations/:id/charges', requirePermission('hotel.folio.manage'), postCharge);
+router.post('/reservations/:id/charges/:chargeId/void', requirePermission('hotel.folio.manage'), voidCharge);
+router.get('/reservations/:id/payments', requirePermission('hotel.reservations.view'), getPayments('reservation'));
+router.post('/reservations/:id/payments', requirePermission('hotel.payments.update'), recordPayment('reservation'));
+router.post('/reservations/:id/invoice', requirePermission('hotel.payments.update'), issueInvoice('reservation'));
+router.get('/reservations/:id/invoice.pdf', requirePermission('hotel.reservations.view'), downloadInvoicePdf('reservation'));
+router.get('/rooms', requirePermission('hotel.rooms.view'), getRooms);
+router.get('/rooms/:id', requirePermission('hotel.rooms.view'), getRoom);
+router.put('/rooms/:id/status', requirePermission('hotel.rooms.status'), updateRoomStatus);
+router.get('/availability', requirePermission('hotel.rooms.view'), getAvailability);
+router.get('/room-types', requirePermission('hotel.roomTypes.view'), getRoomTypes);
+router.get('/services', requirePermission('hotel.services.view'), getServices);
+
+// Housekeeping routes
+router.get('/housekeeping/board', requirePermission('hotel.housekeeping.view'), getBoard);
+router.get('/housekeeping/tasks', requirePermission('hotel.housekeeping.view'), getTasks);
+router.post('/housekeeping/tasks', requirePermission('hotel.housekeeping.manage'), createTask);
+router.put('/housekeeping/tasks/:id/assign', requirePermission('hotel.housekeeping.manage'), assignTask);
+router.put('/housekeeping/tasks/:id/start', requirePermission('hotel.housekeeping.work', 'hotel.housekeeping.manage'), startTask);
+router.put('/housekeeping/tasks/:id/finish', requirePermission('hotel.housekeeping.work', 'hotel.housekeeping.manage'), finishTask);
+router.put('/housekeeping/tasks/:id/inspect', requirePermission('hotel.housekeeping.manage'), inspectTask);
+router.put('/housekeeping/tasks/:id/cancel', requirePermission('hotel.housekeeping.manage'), cancelTask);
+
+// Maintenance routes
+router.get('/maintenance', requirePermission('hotel.maintenance.view'), getTickets);
+router.get('/maintenance/out-of-service', requirePermission('hotel.maintenance.view', 'hotel.reports.view'), getOutOfServiceReport);
+router.get('/maintenance/:id', requirePermission('hotel.maintenance.view'), getTicket);
+router.post('/maintenance', requirePermission('hotel.maintenance.report', 'hotel.maintenance.manage'), createTicket);
+router.put('/maintenance/:id', requirePermission('hotel.maintenance.manage'), updateTicket);
+router.put('/maintenance/:id/resolve', requirePermission('hotel.maintenance.manage'), resolveTicket);
+router.put('/maintenance/:id/cancel', requirePermission('hotel.maintenance.manage'), cancelTicket);
 
-// Admin only routes
-router.delete('/reservations/:id', authorize(['admin']), deleteReservation);
-router.post('/rooms', authorize(['admin']), createRoom);
-router.put('/rooms/:id', authorize(['admin']), updateRoom);
-router.post('/room-types', authorize(['admin']), createRoomType);
-router.put('/room-types/:id', authorize(['admin']), updateRoomType);
-router.post('/room-types/initialize', authorize(['admin']), initializeRoomTypes);
-router.put('/services/:id', authorize(['admin']), updateService);
-router.post('/services', authorize(['admin']), createService);
-router.post('/services/initialize', authorize(['admin']), initializeServices);
-router.post('/initialize-defaults', authorize(['admin']), initializeDefaults);
+// Management routes
+router.delete('/reservations/:id', requirePermission('hotel.reservations.delete'), deleteReservation);
+router.post('/reservations/:id/restore', requirePermission('records.restore'), restoreReservation);
+router.post('/rooms', requirePermission('hotel.rooms.create'), createRoom);
+router.put('/rooms/:id', requirePermission('hotel.rooms.update'), updateRoom);
+router.post('/room-types', requirePermission('hotel.roomTypes.manage'), createRoomType);
+router.put('/room-types/:id', requirePermission('hotel.roomTypes.manage'), updateRoomType);
+router.post('/room-types/initialize', requirePermission('hotel.settings.initialize'), initializeRoomTypes);
+router.put('/services/:id', requirePermission('hotel.services.manage'), updateService);
+router.post('/services', requirePermission('hotel.services.manage'), createService);
+router.post('/services/initialize', requirePermission('hotel.settings.initialize'), initializeServices);
+router.post('/initialize-defaults', requirePermission('hotel.settings.initialize'), initializeDefaults);
 
 module.exports = router;
\ No newline at end of file
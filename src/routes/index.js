@@ -4,6 +4,11 @@ const router = express.Router();
 // Import route files
 const authRoutes = require('./authRoutes');
 const userRoutes = require('./userRoutes');
+const roleRoutes = require('./roleRoutes');
+const auditRoutes = require('./auditRoutes');
+const guestRoutes = require('./guestRoutes');
+const invoiceRoutes = require('./invoiceRoutes');
+const settingsRoutes = require('./settingsRoutes');
 const poolRoutes = require('./poolRoutes');
 const conferenceRoutes = require('./conferenceRoutes');
 const hotelRoutes = require('./hotelRoutes');
@@ -15,6 +20,21 @@ router.use('/auth', authRoutes);
 // Route: /api/users
 router.use('/users', userRoutes);
 
+// Route: /api/roles
+router.use('/roles', roleRoutes);
+
+// Route: /api/audit
+router.use('/audit', auditRoutes);
+
+// Route: /api/guests
+router.use('/guests', guestRoutes);
+
+// Route: /api/invoices
+router.use('/invoices', invoiceRoutes);
+
+// Route: /api/settings
+router.use('/settings', settingsRoutes);
+
 // Route: /api/pool
 router.use('/pool', poolRoutes);
 
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { getInvoices, getInvoice } = require('../controllers/invoiceController');
+const { auth, requirePermission } = require('../middlewares/auth');
+
+// Any department's view permission; each invoice is then checked against its own department
+const VIEW_ANY = ['hotel.reservations.view', 'pool.bookings.view', 'conference.bookings.view', 'restaurant.sales.view'];
+
+// Apply authentication to all routes
+router.use(auth);
+
+// @route   GET /api/invoices
+// @desc    List invoices (filter by department, status, search, startDate/endDate)
+// @access  Private
+router.get('/', requirePermission(VIEW_ANY), getInvoices);
+
+// @route   GET /api/invoices/:id
+// @desc    Get invoice with line items, by ID or invoice number
+// @access  Private
+router.get('/:id', requirePermission(VIEW_ANY), getInvoice);
+
+module.exports = router;
\ No newline at end of file
@@ -6,6 +6,7 @@ const {
     createBooking,
     updateBooking,
     deleteBooking,
+    restoreBooking,
     updatePaymentStatus,
     getDashboardStats,
     getReports,
@@ -21,30 +22,37 @@ const {
     updateTimeSlot,
     initializeTimeSlots
 } = require('../controllers/timeSlotController');
-const { auth, authorize } = require('../middlewares/auth');
+const { getPayments, recordPayment } = require('../controllers/paymentController');
+const { issueInvoice, downloadInvoicePdf } = require('../controllers/invoiceController');
+const { auth, requirePermission } = require('../middlewares/auth');
 
 // Apply authentication to all routes
 router.use(auth);
 
 // Debug route - remove after fixing
-router.get('/debug/bookings', authorize(['admin']), debugBookings);
+router.get('/debug/bookings', requirePermission('pool.debug'), debugBookings);
 
-// Routes accessible by both admin and pool_staff
-router.get('/bookings', authorize(['admin', 'pool_staff']), getBookings);
-router.get('/bookings/:id', authorize(['admin', 'pool_staff']), getBooking);
-router.post('/bookings', authorize(['admin', 'pool_staff']), createBooking);
-router.put('/bookings/:id', authorize(['admin', 'pool_staff']), updateBooking);
-router.put('/bookings/:id/status', authorize(['admin', 'pool_staff']), updatePaymentStatus);
-router.get('/dashboard', authorize(['admin', 'pool_staff']), getDashboardStats);
-router.get('/reports', authorize(['admin', 'pool_staff']), getReports);
-router.get('/ticket-prices', authorize(['admin', 'pool_staff']), getTicketPrices);
-router.get('/time-slots', authorize(['admin', 'pool_staff']), getTimeSlots);
+// Ticketing routes
+router.get('/bookings', requirePermission('pool.bookings.view'), getBookings);
+router.get('/bookings/:id', requirePermission('pool.bookings.view'), getBooking);
+router.post('/bookings', requirePermission('pool.bookings.create'), createBooking);
+router.put('/bookings/:id', requirePermission('pool.bookings.update'), updateBooking);
+router.put('/bookings/:id/status', requirePermission('pool.payments.update'), updatePaymentStatus);
+router.get('/bookings/:id/payments', requirePermission('pool.bookings.view'), getPayments('pool'));
+router.post('/bookings/:id/payments', requirePermission('pool.payments.update'), recordPayment('pool'));
+router.post('/bookings/:id/invoice', requirePermission('pool.payments.update'), issueInvoice('pool'));
+router.get('/bookings/:id/receipt.pdf', requirePermission('pool.bookings.view'), downloadInvoicePdf('pool', { title: 'RECEIPT' }));
+router.get('/dashboard', requirePermission('pool.dashboard.view'), getDashboardStats);
+router.get('/reports', requirePermission('pool.reports.view'), getReports);
+router.get('/ticket-prices', requirePermission('pool.prices.view'), getTicketPrices);
+router.get('/time-slots', requirePermission('pool.timeSlots.view'), getTimeSlots);
 
-// Admin only routes - only admin can modify settings
-router.delete('/bookings/:id', authorize(['admin']), deleteBooking);
-router.put('/ticket-prices/:id', authorize(['admin']), updateTicketPrice);
-router.post('/ticket-prices/initialize', authorize(['admin']), initializeTicketPrices);
-router.put('/time-slots/:id', authorize(['admin']), updateTimeSlot);
-router.post('/time-slots/initialize', authorize(['admin']), initializeTimeSlots);
+// Settings routes
+router.delete('/bookings/:id', requirePermission('pool.bookings.delete'), deleteBooking);
+router.post('/bookings/:id/restore', requirePermission('records.restore'), restoreBooking);
+router.put('/ticket-prices/:id', requirePermission('pool.prices.update'), updateTicketPrice);
+router.post('/ticket-prices/initialize', requirePermission('pool.settings.initialize'), initializeTicketPrices);
+router.put('/time-slots/:id', requirePermission('pool.timeSlots.update'), updateTimeSlot);
+router.post('/time-slots/initialize', requirePermission('pool.settings.initialize'), initializeTimeSlots);
 
 module.exports = router;
\ No newline at end of file
@@ -14,6 +14,7 @@ const {
     createSale,
     updateSale,
     deleteSale,
+    restoreSale,
     updatePaymentStatus,
     updateOrderStatus
 } = require('../controllers/saleController');
@@ -29,40 +30,47 @@ const {
     deleteCategory,
     initializeCategories
 } = require('../controllers/categoryController');
-const { auth, authorize } = require('../middlewares/auth');
+const { getPayments, recordPayment } = require('../controllers/paymentController');
+const { issueInvoice, downloadInvoicePdf } = require('../controllers/invoiceController');
+const { auth, requirePermission } = require('../middlewares/auth');
 
 // Apply authentication to all routes
 router.use(auth);
 
 // Dashboard
-router.get('/dashboard', authorize(['admin', 'restaurant_staff']), getDashboardStats);
+router.get('/dashboard', requirePermission('restaurant.dashboard.view'), getDashboardStats);
 
 // Reports
-router.get('/reports', authorize(['admin', 'restaurant_staff']), getReports);
+router.get('/reports', requirePermission('restaurant.reports.view'), getReports);
 
 // Category Routes
-router.get('/categories', authorize(['admin', 'restaurant_staff']), getCategories);
-router.get('/categories/:id', authorize(['admin', 'restaurant_staff']), getCategory);
-router.post('/categories', authorize(['admin']), createCategory);
-router.put('/categories/:id', authorize(['admin']), updateCategory);
-router.delete('/categories/:id', authorize(['admin']), deleteCategory);
-router.post('/categories/initialize', authorize(['admin']), initializeCategories);
+router.get('/categories', requirePermission('restaurant.categories.view'), getCategories);
+router.get('/categories/:id', requirePermission('restaurant.categories.view'), getCategory);
+router.post('/categories', requirePermission('restaurant.categories.manage'), createCategory);
+router.put('/categories/:id', requirePermission('restaurant.categories.manage'), updateCategory);
+router.delete('/categories/:id', requirePermission('restaurant.categories.manage'), deleteCategory);
+router.post('/categories/initialize', requirePermission('restaurant.categories.manage'), initializeCategories);
 
 // Menu Items Routes
-router.get('/menu-items', authorize(['admin', 'restaurant_staff']), getMenuItems);
-router.get('/menu-items/:id', authorize(['admin', 'restaurant_staff']), getMenuItem);
-router.post('/menu-items', authorize(['admin']), createMenuItem);
-router.put('/menu-items/:id', authorize(['admin']), updateMenuItem);
-router.delete('/menu-items/:id', authorize(['admin']), deleteMenuItem);
-router.post('/menu-items/initialize', authorize(['admin']), initializeMenuItems);
+router.get('/menu-items', requirePermission('restaurant.menu.view'), getMenuItems);
+router.get('/menu-items/:id', requirePermission('restaurant.menu.view'), getMenuItem);
+router.post('/menu-items', requirePermission('restaurant.menu.manage'), createMenuItem);
+router.put('/menu-items/:id', requirePermission('restaurant.menu.manage'), updateMenuItem);
+router.delete('/menu-items/:id', requirePermission('restaurant.menu.manage'), deleteMenuItem);
+router.post('/menu-items/initialize', requirePermission('restaurant.menu.manage'), initializeMenuItems);
 
 // Sales Routes
-router.get('/sales', authorize(['admin', 'restaurant_staff']), getSales);
-router.get('/sales/:id', authorize(['admin', 'restaurant_staff']), getSale);
-router.post('/sales', authorize(['admin', 'restaurant_staff']), createSale);
-router.put('/sales/:id', authorize(['admin', 'restaurant_staff']), updateSale);
-router.delete('/sales/:id', authorize(['admin']), deleteSale);
-router.put('/sales/:id/payment-status', authorize(['admin', 'restaurant_staff']), updatePaymentStatus);
-router.put('/sales/:id/order-status', authorize(['admin', 'restaurant_staff']), updateOrderStatus);
+router.get('/sales', requirePermission('restaurant.sales.view'), getSales);
+router.get('/sales/:id', requirePermission('restaurant.sales.view'), getSale);
+router.post('/sales', requirePermission('restaurant.sales.create'), createSale);
+router.put('/sales/:id', requirePermission('restaurant.sales.update'), updateSale);
+router.delete('/sales/:id', requirePermission('restaurant.sales.delete'), deleteSale);
+router.post('/sales/:id/restore', requirePermission('records.restore'), restoreSale);
+router.put('/sales/:id/payment-status', requirePermission('restaurant.payments.update'), updatePaymentStatus);
+router.put('/sales/:id/order-status', requirePermission('restaurant.sales.update'), updateOrderStatus);
+router.get('/sales/:id/payments', requirePermission('restaurant.sales.view'), getPayments('sale'));
+router.post('/sales/:id/payments', requirePermission('restaurant.payments.update'), recordPayment('sale'));
+router.post('/sales/:id/invoice', requirePermission('restaurant.payments.update'), issueInvoice('sale'));
+router.get('/sales/:id/receipt.pdf', requirePermission('restaurant.sales.view'), downloadInvoicePdf('sale', { title: 'RECEIPT' }));
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getRoles,
+    getPermissions,
+    createRole,
+    updateRole,
+    deleteRole
+} = require('../controllers/roleController');
+const { auth, requirePermission } = require('../middlewares/auth');
+
+// Apply authentication to all routes
+router.use(auth);
+
+// @route   GET /api/roles
+// @desc    Get all roles
+// @access  Private/Admin
+router.get('/', requirePermission('roles.manage', 'users.manage'), getRoles);
+
+// @route   GET /api/roles/permissions
+// @desc    Get permission catalog
+// @access  Private/Admin
+router.get('/permissions', requirePermission('roles.manage'), getPermissions);
+
+// @route   POST /api/roles
+// @desc    Create role
+// @access  Private/Admin
+router.post('/', requirePermission('roles.manage'), createRole);
+
+// @route   PUT /api/roles/:id
+// @desc    Update role
+// @access  Private/Admin
+router.put('/:id', requirePermission('roles.manage'), updateRole);
+
+// @route   DELETE /api/roles/:id
+// @desc    Delete role
+// @access  Private/Admin
+router.delete('/:id', requirePermission('roles.manage'), deleteRole);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { getSettings, updateSettings } = require('../controllers/settingsController');
+const { auth, requirePermission } = require('../middlewares/auth');
+
+// Apply authentication to all routes
+router.use(auth);
+
+// @route   GET /api/settings
+// @desc    Get business details shown on invoices and receipts
+// @access  Private
+router.get('/', getSettings);
+
+// @route   PUT /api/settings
+// @desc    Update business details (name, address, logo, tax ID, ...)
+// @access  Private/Admin
+router.put('/', requirePermission('settings.manage'), updateSettings);
+
+module.exports = router;
\ No newline at end of file
@@ -6,15 +6,21 @@ const {
     createUser,
     updateUser,
     deleteUser,
-    changePassword
+    changePassword,
+    getUserSessions,
+    revokeUserSessions,
+    revokeUserSession,
+    unlockUser,
+    resetTwoFactor,
+    issuePasswordResetToken
 } = require('../controllers/userController');
-const { auth, authorize } = require('../middlewares/auth');
+const { auth, requirePermission } = require('../middlewares/auth');
 
 // Apply authentication to all routes
 router.use(auth);
 
-// Apply admin authorization to all routes
-router.use(authorize('admin'));
+// Apply user management permission to all routes
+router.use(requirePermission('users.manage'));
 
 // @route   GET /api/users
 // @desc    Get all users
@@ -46,4 +52,34 @@ router.delete('/:id', deleteUser);
 // @access  Private/Admin
 router.put('/:id/change-password', changePassword);
 
+// @route   POST /api/users/:id/password-reset-token
+// @desc    Issue one-time password reset token
+// @access  Private/Admin
+router.post('/:id/password-reset-token', issuePasswordResetToken);
+
+// @route   PUT /api/users/:id/unlock
+// @desc    Unlock account locked by failed logins
+// @access  Private/Admin
+router.put('/:id/unlock', unlockUser);
+
+// @route   DELETE /api/users/:id/two-factor
+// @desc    Reset user's two-factor authentication
+// @access  Private/Admin
+router.delete('/:id/two-factor', resetTwoFactor);
+
+// @route   GET /api/users/:id/sessions
+// @desc    Get user's login sessions
+// @access  Private/Admin
+router.get('/:id/sessions', getUserSessions);
+
+// @route   DELETE /api/users/:id/sessions
+// @desc    Force logout user from all sessions
+// @access  Private/Admin
+router.delete('/:id/sessions', revokeUserSessions);
+
+// @route   DELETE /api/users/:id/sessions/:sessionId
+// @desc    Force logout a single session
+// @access  Private/Admin
+router.delete('/:id/sessions/:sessionId', revokeUserSession);
+
 module.exports = router;
\ No newline at end of file
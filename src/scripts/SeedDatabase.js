@@ -2,6 +2,7 @@
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 const User = require('../models/User');
+const Role = require('../models/Role');
 const TicketPrice = require('../models/TicketPrice');
 const TimeSlot = require('../models/TimeSlot');
 
@@ -25,6 +26,10 @@ const seedDatabase = async () => {
 
         console.log('🚀 Seeding database...');
 
+        // 0. Create built-in roles
+        const createdRoles = await Role.ensureDefaultRoles();
+        console.log(`✅ Default roles ready (${createdRoles} created)`);
+
         // 1. Create Admin User
         const adminUser = {
             name: 'Admin User',
@@ -3,6 +3,8 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const connectDB = require('./config/database');
 const errorHandler = require('./middlewares/errorHandler');
+const { requestContext } = require('./middlewares/requestContext');
+const { startScheduler } = require('./config/scheduler');
 
 // Load environment variables
 dotenv.config();
@@ -13,6 +15,13 @@ connectDB();
 // Initialize express
 const app = express();
 
+// Proxies are not trusted unless the hosting config says how many sit in front
+// of the app (e.g. TRUST_PROXY=1 behind a single load balancer); req.ip is then
+// read from X-Forwarded-For only that many hops back. Trusting a proxy that is
+// not there would let clients pick their own IP and dodge the login throttle.
+const trustProxy = process.env.TRUST_PROXY || '0';
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+
 // =======================
 // Middleware
 // =======================
@@ -30,9 +39,13 @@ app.use(cors({
 }));
 
 
-app.use(express.json());
+// Raised from the 100kb default so the invoice logo can be uploaded as a data URL
+app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Request context (used by the audit trail)
+app.use(requestContext);
+
 // Request logger
 app.use((req, res, next) => {
     console.log(`${req.method} ${req.originalUrl} - ${new Date().toISOString()}`);
@@ -68,6 +81,7 @@ const server = app.listen(PORT, () => {
     console.log(
         `Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`
     );
+    startScheduler();
 });
 
 // =======================
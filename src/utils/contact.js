@@ -0,0 +1,63 @@
+// utils/contact.js
+// Normalization used to recognise the same guest across bookings.
+
+// Lowercased and trimmed, '' when missing
+const normalizeEmail = (email) => {
+    if (!email || typeof email !== 'string') return '';
+    return email.trim().toLowerCase();
+};
+
+// Digits only; the last 10 digits are kept so "+91 98765-43210" and "098765 43210" match
+const normalizePhone = (phone) => {
+    if (!phone) return '';
+    const digits = String(phone).replace(/\D/g, '');
+    return digits.length > 10 ? digits.slice(-10) : digits;
+};
+
+// "Dr. José  SMITH-jones" -> "dr jones jose smith": accents, punctuation and word order ignored
+const normalizeName = (name) => {
+    if (!name) return '';
+    return String(name)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .sort()
+        .join(' ');
+};
+
+// Edit distance between two strings
+const levenshtein = (a, b) => {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// 0..1 similarity of two names after normalization
+const nameSimilarity = (a, b) => {
+    const left = normalizeName(a);
+    const right = normalizeName(b);
+    if (!left || !right) return 0;
+    const longest = Math.max(left.length, right.length);
+    return 1 - levenshtein(left, right) / longest;
+};
+
+module.exports = {
+    normalizeEmail,
+    normalizePhone,
+    normalizeName,
+    nameSimilarity
+};
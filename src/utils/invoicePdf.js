@@ -0,0 +1,260 @@
+// utils/invoicePdf.js
+// Page layouts for invoices and receipts, drawn from an Invoice snapshot,
+// its payments and the business settings.
+const { A4, MM, PdfDocument, loadImage, widthOf, wrapText } = require('./pdf');
+
+const formatMoney = (value, settings) => {
+    const amount = Number(value || 0).toLocaleString(settings.locale || 'en-IN', {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    });
+    return settings.currency ? `${settings.currency} ${amount}` : amount;
+};
+
+const formatDate = (value, settings) => (value
+    ? new Date(value).toLocaleDateString(settings.locale || 'en-IN', { day: '2-digit', month: 'short', year: 'numeric' })
+    : '');
+
+const METHOD_LABELS = {
+    cash: 'Cash',
+    card: 'Card',
+    upi: 'UPI',
+    bank_transfer: 'Bank transfer',
+    cheque: 'Cheque',
+    room_charge: 'Charged to room',
+    other: 'Other'
+};
+
+const businessLines = (settings) => [
+    ...String(settings.address || '').split('\n'),
+    [settings.phone, settings.email].filter(Boolean).join('  |  '),
+    settings.website,
+    settings.taxId ? `Tax ID: ${settings.taxId}` : ''
+].map(line => line && line.trim()).filter(Boolean);
+
+// A4 invoice or receipt (title decides which)
+const renderInvoicePdf = (invoice, settings, { title = 'INVOICE', payments = [] } = {}) => {
+    const doc = new PdfDocument(A4);
+    const margin = 40;
+    const right = A4.width - margin;
+    const bottom = A4.height - 60;
+    let y = margin;
+
+    // Header: logo and business details on the left, document details on the right
+    const logo = loadImage(settings.logo);
+    let textLeft = margin;
+    if (logo) {
+        const size = doc.image(logo, margin, y, 110, 60);
+        textLeft = margin + size.width + 12;
+    }
+    let headerY = y + 14;
+    doc.text(settings.hotelName, textLeft, headerY, { size: 16, bold: true });
+    for (const line of businessLines(settings)) {
+        headerY += 12;
+        doc.text(line, textLeft, headerY, { size: 9, gray: 0.3 });
+    }
+
+    doc.text(title, right, y + 18, { size: 20, bold: true, align: 'right' });
+    const details = [
+        [`${title === 'INVOICE' ? 'Invoice' : 'Receipt'} No`, invoice.invoiceNumber],
+        ['Date', formatDate(invoice.issuedAt, settings)],
+        ['Booking No', invoice.bookingNumber]
+    ];
+    let detailY = y + 36;
+    for (const [label, value] of details) {
+        doc.text(`${label}:`, right - 120, detailY, { size: 9, gray: 0.3 });
+        doc.text(value || '-', right, detailY, { size: 9, bold: true, align: 'right' });
+        detailY += 12;
+    }
+    if (invoice.status === 'void') {
+        doc.text('VOID', right, detailY + 6, { size: 14, bold: true, align: 'right', gray: 0.5 });
+        detailY += 20;
+    }
+
+    y = Math.max(headerY, detailY, logo ? y + 60 : y) + 20;
+
+    // Bill to
+    const billTo = invoice.billTo || {};
+    doc.text('BILL TO', margin, y, { size: 8, bold: true, gray: 0.4 });
+    y += 13;
+    for (const line of [billTo.name, billTo.company, billTo.phone, billTo.email].filter(Boolean)) {
+        doc.text(line, margin, y, { size: 10, bold: line === billTo.name });
+        y += 12;
+    }
+    y += 12;
+
+    // Line items
+    const showTax = invoice.lines.some(line => line.tax);
+    const columns = {
+        description: margin + 6,
+        quantity: showTax ? 330 : 370,
+        unitPrice: showTax ? 410 : 460,
+        tax: 480,
+        amount: right - 6
+    };
+    const descriptionWidth = columns.quantity - columns.description - 40;
+
+    const tableHeader = () => {
+        doc.rect(margin, y - 12, right - margin, 18, { gray: 0.92 });
+        doc.text('Description', columns.description, y, { size: 9, bold: true });
+        doc.text('Qty', columns.quantity, y, { size: 9, bold: true, align: 'right' });
+        doc.text('Unit Price', columns.unitPrice, y, { size: 9, bold: true, align: 'right' });
+        if (showTax) doc.text('Tax', columns.tax, y, { size: 9, bold: true, align: 'right' });
+        doc.text('Amount', columns.amount, y, { size: 9, bold: true, align: 'right' });
+        y += 20;
+    };
+    const ensureSpace = (needed) => {
+        if (y + needed > bottom) {
+            doc.addPage();
+            y = margin + 12;
+            return true;
+        }
+        return false;
+    };
+
+    tableHeader();
+    for (const line of invoice.lines) {
+        const descriptionLines = wrapText(line.description, descriptionWidth, 9);
+        if (ensureSpace(descriptionLines.length * 11 + 6)) tableHeader();
+
+        doc.text(String(line.quantity), columns.quantity, y, { size: 9, align: 'right' });
+        doc.text(formatMoney(line.unitPrice, settings), columns.unitPrice, y, { size: 9, align: 'right' });
+        if (showTax) doc.text(formatMoney(line.tax, settings), columns.tax, y, { size: 9, align: 'right' });
+        doc.text(formatMoney(line.amount, settings), columns.amount, y, { size: 9, align: 'right' });
+        for (const text of descriptionLines) {
+            doc.text(text, columns.description, y, { size: 9 });
+            y += 11;
+        }
+        y += 4;
+        doc.line(margin, y - 8, right, y - 8, { width: 0.3, gray: 0.8 });
+    }
+
+    // Totals
+    const totals = [
+        ['Subtotal', invoice.subtotal],
+        invoice.discount ? ['Discount', -invoice.discount] : null,
+        invoice.tax ? ['Tax', invoice.tax] : null,
+        ['Total', invoice.total, true],
+        ['Paid', invoice.amountPaid],
+        ['Balance Due', invoice.balanceDue, true]
+    ].filter(Boolean);
+    ensureSpace(totals.length * 15 + 10);
+    y += 8;
+    for (const [label, value, bold] of totals) {
+        doc.text(label, right - 150, y, { size: 10, bold });
+        doc.text(formatMoney(value, settings), right - 6, y, { size: 10, bold, align: 'right' });
+        y += 15;
+    }
+
+    // Payments received
+    if (payments.length > 0) {
+        ensureSpace(30 + payments.length * 12);
+        y += 12;
+        doc.text('PAYMENTS', margin, y, { size: 8, bold: true, gray: 0.4 });
+        y += 14;
+        for (const payment of payments) {
+            ensureSpace(12);
+            const label = `${formatDate(payment.receivedAt, settings)}  ${METHOD_LABELS[payment.method] || payment.method}` +
+                (payment.reference ? `  (${payment.reference})` : '') +
+                (payment.amount < 0 ? '  - refund' : '');
+            doc.text(label, margin, y, { size: 9 });
+            doc.text(formatMoney(payment.amount, settings), right - 6, y, { size: 9, align: 'right' });
+            y += 12;
+        }
+    }
+
+    // Footer on the last page
+    if (settings.invoiceFooter) {
+        doc.line(margin, A4.height - 45, right, A4.height - 45, { width: 0.3, gray: 0.7 });
+        doc.text(settings.invoiceFooter, A4.width / 2, A4.height - 32, { size: 9, align: 'center', gray: 0.4 });
+    }
+
+    return doc.toBuffer();
+};
+
+// Narrow receipt for 80mm thermal printers (72mm printable)
+const renderThermalReceipt = (invoice, settings, { payments = [] } = {}) => {
+    const width = 80 * MM;
+    const margin = 4 * MM;
+    const right = width - margin;
+    const center = width / 2;
+    const usable = right - margin;
+    const doc = new PdfDocument({ width, height: 2000 });
+    let y = margin;
+
+    const logo = loadImage(settings.logo);
+    if (logo) {
+        const scale = Math.min(120 / logo.width, 40 / logo.height);
+        doc.image(logo, center - (logo.width * scale) / 2, y, 120, 40);
+        y += logo.height * scale + 4;
+    }
+
+    const centered = (text, options = {}) => {
+        for (const line of wrapText(text, usable, options.size || 8, options.bold)) {
+            y += (options.size || 8) + 2;
+            doc.text(line, center, y, { size: 8, ...options, align: 'center' });
+        }
+    };
+    const divider = () => {
+        y += 5;
+        doc.line(margin, y, right, y, { width: 0.5, gray: 0.4 });
+        y += 2;
+    };
+    const row = (left, value, options = {}) => {
+        const size = options.size || 8;
+        const valueWidth = widthOf(value, size, options.bold);
+        const lines = wrapText(left, usable - valueWidth - 6, size, options.bold);
+        y += size + 2;
+        doc.text(value, right, y, { size, bold: options.bold, align: 'right' });
+        lines.forEach((line, index) => {
+            if (index > 0) y += size + 2;
+            doc.text(line, margin, y, { size, bold: options.bold });
+        });
+    };
+
+    centered(settings.hotelName, { size: 11, bold: true });
+    for (const line of businessLines(settings)) {
+        centered(line, { size: 7 });
+    }
+    divider();
+    centered('RECEIPT', { size: 10, bold: true });
+    row('No', invoice.invoiceNumber);
+    row('Bill', invoice.bookingNumber || '-');
+    row('Date', new Date(invoice.issuedAt).toLocaleString(settings.locale || 'en-IN', {
+        day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit'
+    }));
+    if (invoice.billTo && invoice.billTo.name) row('Customer', invoice.billTo.name);
+    if (invoice.status === 'void') centered('*** VOID ***', { size: 10, bold: true });
+    divider();
+
+    for (const line of invoice.lines) {
+        for (const text of wrapText(line.description, usable, 8, true)) {
+            y += 10;
+            doc.text(text, margin, y, { size: 8, bold: true });
+        }
+        row(`  ${line.quantity} x ${formatMoney(line.unitPrice, settings)}`, formatMoney(line.amount, settings));
+    }
+    divider();
+
+    row('Subtotal', formatMoney(invoice.subtotal, settings));
+    if (invoice.discount) row('Discount', formatMoney(-invoice.discount, settings));
+    if (invoice.tax) row('Tax', formatMoney(invoice.tax, settings));
+    row('TOTAL', formatMoney(invoice.total, settings), { size: 10, bold: true });
+    for (const payment of payments) {
+        row(METHOD_LABELS[payment.method] || payment.method, formatMoney(payment.amount, settings));
+    }
+    if (invoice.balanceDue) row('Balance Due', formatMoney(invoice.balanceDue, settings), { bold: true });
+
+    if (settings.receiptFooter) {
+        divider();
+        centered(settings.receiptFooter, { size: 8 });
+    }
+
+    doc.setPageHeight(y + margin * 2);
+    return doc.toBuffer();
+};
+
+module.exports = {
+    renderInvoicePdf,
+    renderThermalReceipt
+};
@@ -0,0 +1,21 @@
+// utils/nights.js
+// A stay is counted in nights keyed by their UTC date (YYYY-MM-DD), the same
+// way Reservation.totalNights counts them.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Dates of the nights between check-in and check-out
+const nightsBetween = (checkIn, checkOut) => {
+    const start = new Date(checkIn).getTime();
+    const count = Math.ceil((new Date(checkOut).getTime() - start) / DAY_MS);
+    const nights = [];
+    for (let i = 0; i < count; i++) {
+        nights.push(new Date(start + i * DAY_MS).toISOString().slice(0, 10));
+    }
+    return nights;
+};
+
+module.exports = {
+    DAY_MS,
+    nightsBetween
+};
@@ -0,0 +1,20 @@
+// utils/payments.js
+// Shared rules for deriving payment status from the payment ledger.
+
+// Two decimal places, avoiding float drift in running totals
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// 'pending' | 'partial' | 'paid' | 'refunded' from ledger totals ({ net, refunded })
+// and the amount the booking is worth. Each model maps these onto its own status list.
+const derivePaymentStatus = ({ net, refunded = 0 }, amountDue) => {
+    if (net <= 0) {
+        if (refunded > 0) return 'refunded';
+        return amountDue <= 0 ? 'paid' : 'pending';
+    }
+    return net >= roundMoney(amountDue) ? 'paid' : 'partial';
+};
+
+module.exports = {
+    roundMoney,
+    derivePaymentStatus
+};
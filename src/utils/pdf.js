@@ -0,0 +1,291 @@
+// utils/pdf.js
+// Minimal PDF writer for invoices and receipts: text in the standard
+// Helvetica fonts, lines, filled boxes and one JPEG/PNG logo. Coordinates are
+// in points from the TOP-left corner; page height may grow or shrink until the
+// document is serialized (used for thermal receipts of any length).
+const zlib = require('zlib');
+
+const A4 = { width: 595.28, height: 841.89 };
+const MM = 72 / 25.4;
+
+// Advance widths (1/1000 em) for characters 32..126
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Standard fonts only cover Latin-1; anything else prints as '?'
+const toLatin1 = (value) => String(value === undefined || value === null ? '' : value)
+    .replace(/[‘’]/g, '\'')
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+
+const widthOf = (text, size, bold = false) => {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let units = 0;
+    for (const char of toLatin1(text)) {
+        const code = char.charCodeAt(0);
+        units += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+    }
+    return (units * size) / 1000;
+};
+
+// Split text into lines no wider than maxWidth
+const wrapText = (text, maxWidth, size, bold = false) => {
+    const lines = [];
+    for (const paragraph of toLatin1(text).split('\n')) {
+        let line = '';
+        for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (widthOf(candidate, size, bold) <= maxWidth || !line) {
+                line = candidate;
+            } else {
+                lines.push(line);
+                line = word;
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+};
+
+const escapeText = (text) => {
+    let out = '';
+    for (const char of toLatin1(text)) {
+        const code = char.charCodeAt(0);
+        if (char === '(' || char === ')' || char === '\\') {
+            out += `\\${char}`;
+        } else if (code > 126) {
+            out += `\\${code.toString(8).padStart(3, '0')}`;
+        } else {
+            out += char;
+        }
+    }
+    return out;
+};
+
+const num = (value) => (Math.round(value * 100) / 100).toString();
+
+// Parse a data URL / buffer holding a JPEG or a PNG without transparency.
+// Returns null for anything the writer cannot embed.
+const loadImage = (source) => {
+    if (!source) return null;
+
+    let data = source;
+    if (typeof source === 'string') {
+        const match = source.match(/^data:image\/(?:jpeg|jpg|png);base64,(.+)$/);
+        if (!match) return null;
+        data = Buffer.from(match[1], 'base64');
+    }
+
+    // JPEG: read size from the first start-of-frame marker
+    if (data[0] === 0xFF && data[1] === 0xD8) {
+        let offset = 2;
+        while (offset + 9 < data.length) {
+            if (data[offset] !== 0xFF) return null;
+            const marker = data[offset + 1];
+            const length = data.readUInt16BE(offset + 2);
+            if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+                const components = data[offset + 9];
+                return {
+                    width: data.readUInt16BE(offset + 7),
+                    height: data.readUInt16BE(offset + 5),
+                    filter: 'DCTDecode',
+                    colorSpace: components === 1 ? 'DeviceGray' : components === 4 ? 'DeviceCMYK' : 'DeviceRGB',
+                    data
+                };
+            }
+            offset += 2 + length;
+        }
+        return null;
+    }
+
+    // PNG: 8-bit grey or RGB, not interlaced; the IDAT stream is passed through as-is
+    if (data.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+        let offset = 8;
+        let header = null;
+        const chunks = [];
+        while (offset + 8 <= data.length) {
+            const length = data.readUInt32BE(offset);
+            const type = data.toString('ascii', offset + 4, offset + 8);
+            const body = data.slice(offset + 8, offset + 8 + length);
+            if (type === 'IHDR') {
+                header = {
+                    width: body.readUInt32BE(0),
+                    height: body.readUInt32BE(4),
+                    bitDepth: body[8],
+                    colorType: body[9],
+                    interlace: body[12]
+                };
+            } else if (type === 'IDAT') {
+                chunks.push(body);
+            } else if (type === 'IEND') {
+                break;
+            }
+            offset += 12 + length;
+        }
+        if (!header || header.bitDepth !== 8 || header.interlace !== 0 || ![0, 2].includes(header.colorType)) {
+            return null;
+        }
+        const colors = header.colorType === 2 ? 3 : 1;
+        return {
+            width: header.width,
+            height: header.height,
+            filter: 'FlateDecode',
+            colorSpace: colors === 3 ? 'DeviceRGB' : 'DeviceGray',
+            decodeParms: `<< /Predictor 15 /Colors ${colors} /BitsPerComponent 8 /Columns ${header.width} >>`,
+            data: Buffer.concat(chunks)
+        };
+    }
+
+    return null;
+};
+
+class PdfDocument {
+    constructor({ width = A4.width, height = A4.height } = {}) {
+        this.width = width;
+        this.height = height;
+        this.pages = [];
+        this.images = [];
+        this.addPage();
+    }
+
+    addPage() {
+        this.page = { height: this.height, ops: [] };
+        this.pages.push(this.page);
+        return this;
+    }
+
+    // Change the current page's height (e.g. to fit a receipt)
+    setPageHeight(height) {
+        this.page.height = height;
+        return this;
+    }
+
+    // y is the text baseline measured from the top of the page
+    text(value, x, y, { size = 10, bold = false, align = 'left', gray = 0 } = {}) {
+        const width = widthOf(value, size, bold);
+        const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+        this.page.ops.push(page => `BT ${num(gray)} g /${bold ? 'F2' : 'F1'} ${num(size)} Tf ` +
+            `1 0 0 1 ${num(left)} ${num(page.height - y)} Tm (${escapeText(value)}) Tj ET`);
+        return this;
+    }
+
+    line(x1, y1, x2, y2, { width = 0.5, gray = 0 } = {}) {
+        this.page.ops.push(page => `${num(gray)} G ${num(width)} w ${num(x1)} ${num(page.height - y1)} m ` +
+            `${num(x2)} ${num(page.height - y2)} l S`);
+        return this;
+    }
+
+    rect(x, y, width, height, { gray = 0.9 } = {}) {
+        this.page.ops.push(page => `${num(gray)} g ${num(x)} ${num(page.height - y - height)} ` +
+            `${num(width)} ${num(height)} re f 0 g`);
+        return this;
+    }
+
+    // Draw an image from loadImage() inside the box, keeping its aspect ratio.
+    // Returns the size actually used.
+    image(image, x, y, maxWidth, maxHeight) {
+        const scale = Math.min(maxWidth / image.width, maxHeight / image.height);
+        const width = image.width * scale;
+        const height = image.height * scale;
+
+        let index = this.images.indexOf(image);
+        if (index === -1) {
+            this.images.push(image);
+            index = this.images.length - 1;
+        }
+        this.page.ops.push(page => `q ${num(width)} 0 0 ${num(height)} ${num(x)} ` +
+            `${num(page.height - y - height)} cm /Im${index + 1} Do Q`);
+        return { width, height };
+    }
+
+    toBuffer() {
+        const objects = [];
+        const addObject = (body) => {
+            objects.push(body);
+            return objects.length;
+        };
+        const stream = (dict, data) => Buffer.concat([
+            Buffer.from(`<< ${dict} /Length ${data.length} >>\nstream\n`, 'latin1'),
+            data,
+            Buffer.from('\nendstream', 'latin1')
+        ]);
+
+        const catalogId = addObject(null);
+        const pagesId = addObject(null);
+        const regularId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        const boldId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+        const imageIds = this.images.map(image => addObject(stream(
+            `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+            `/ColorSpace /${image.colorSpace} /BitsPerComponent 8 /Filter /${image.filter}` +
+            (image.decodeParms ? ` /DecodeParms ${image.decodeParms}` : ''),
+            image.data
+        )));
+        const xObjects = imageIds.map((id, index) => `/Im${index + 1} ${id} 0 R`).join(' ');
+        const resources = `<< /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >>` +
+            (xObjects ? ` /XObject << ${xObjects} >>` : '') + ' >>';
+
+        const pageIds = this.pages.map(page => {
+            const content = zlib.deflateSync(Buffer.from(page.ops.map(op => op(page)).join('\n'), 'latin1'));
+            const contentId = addObject(stream('/Filter /FlateDecode', content));
+            return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(this.width)} ${num(page.height)}] ` +
+                `/Resources ${resources} /Contents ${contentId} 0 R >>`);
+        });
+
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        const parts = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+        let length = parts[0].length;
+        const offsets = [];
+        objects.forEach((body, index) => {
+            const chunk = Buffer.concat([
+                Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+                Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+                Buffer.from('\nendobj\n', 'latin1')
+            ]);
+            offsets.push(length);
+            parts.push(chunk);
+            length += chunk.length;
+        });
+
+        const xref = [
+            'xref',
+            `0 ${objects.length + 1}`,
+            '0000000000 65535 f ',
+            ...offsets.map(offset => `${offset.toString().padStart(10, '0')} 00000 n `),
+            'trailer',
+            `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>`,
+            'startxref',
+            String(length),
+            '%%EOF'
+        ].join('\n');
+        parts.push(Buffer.from(`${xref}\n`, 'latin1'));
+
+        return Buffer.concat(parts);
+    }
+}
+
+module.exports = {
+    A4,
+    MM,
+    PdfDocument,
+    loadImage,
+    widthOf,
+    wrapText
+};
@@ -0,0 +1,105 @@
+// utils/totp.js
+// RFC 6238 time-based one-time passwords (what Google Authenticator, Authy etc. use).
+// Pure node:crypto so it works without any network access.
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    const clean = input.toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character in secret');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// 160-bit secret, the size recommended by RFC 4226
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// RFC 4226 HOTP value for one counter step
+const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+};
+
+const getCurrentStep = (time = Date.now()) => Math.floor(time / 1000 / PERIOD_SECONDS);
+
+// Returns the matching time step (allowing `window` steps of clock drift), or null.
+// Steps at or before `lastUsedStep` are rejected so a code cannot be replayed.
+const verifyCode = (secret, code, { window = 1, lastUsedStep = -1 } = {}) => {
+    const token = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(token)) return null;
+
+    const currentStep = getCurrentStep();
+    for (let step = currentStep - window; step <= currentStep + window; step++) {
+        if (step <= lastUsedStep) continue;
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+// otpauth:// URI understood by authenticator apps (usually shown as a QR code)
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+    const params = [
+        `secret=${secret}`,
+        `issuer=${encodeURIComponent(issuer)}`,
+        'algorithm=SHA1',
+        `digits=${DIGITS}`,
+        `period=${PERIOD_SECONDS}`
+    ];
+    return `otpauth://totp/${label}?${params.join('&')}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateCode,
+    getCurrentStep,
+    verifyCode,
+    buildOtpauthUri
+};